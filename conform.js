@@ -0,0 +1,263 @@
+const _ = require('lodash');
+
+// Suggests OpenAddresses conform mappings (number, street, unit, city,
+// postcode, lat, and lon) by analyzing the names of sampled fields and the
+// values of sampled records.  Every suggestion has a confidence between 0
+// and 1 and only suggestions of at least `minimumConfidence` are returned.
+
+const minimumConfidence = 0.5;
+
+// common street types and abbreviations as found at the end of street names
+const streetSuffixes = [
+  'al', 'aly', 'alley', 'ave', 'av', 'avenue', 'blvd', 'boulevard', 'br', 'bridge', 'byp', 'bypass',
+  'cir', 'circle', 'cswy', 'causeway', 'ct', 'court', 'cres', 'crescent', 'cv', 'cove', 'dr', 'drive',
+  'expy', 'expressway', 'fwy', 'freeway', 'hwy', 'highway', 'ln', 'lane', 'loop', 'mall', 'pass', 'path',
+  'pike', 'pk', 'pkwy', 'parkway', 'pl', 'place', 'plz', 'plaza', 'pt', 'point', 'rd', 'road', 'row',
+  'run', 'sq', 'square', 'st', 'street', 'ter', 'terr', 'terrace', 'trl', 'trail', 'walk', 'way', 'xing'
+];
+
+// street directionals that may follow the street type
+const directionals = ['n', 's', 'e', 'w', 'ne', 'nw', 'se', 'sw', 'north', 'south', 'east', 'west'];
+
+// patterns matched against field names that have been lowercased and stripped of
+// everything but letters and digits, each with the confidence the name alone conveys
+const namePatterns = {
+  number: [
+    [/^(house|addr|address|add|st|street|civic|situs|site|bldg|building)?(num|number|no|nbr|nmbr|hn|hsno)$/, 0.8],
+    [/^(addr|add|address)?(housenum|housenumber|hsnum|anumber)$/, 0.8],
+    [/^(addr|add|address)?(hn|hnum)$/, 0.7]
+  ],
+  street: [
+    [/^(street|road)(name|nam|nm)?$/, 0.8],
+    [/^(full|fullst|st|str|rd)(name|nam|nm)$/, 0.8],
+    [/^(stfullname|fullstreetname|streetfull|fullstreet|fullstname|stname|streetname|roadname)$/, 0.8],
+    [/^(name|stnm|strname)$/, 0.5]
+  ],
+  streetPrefix: [
+    [/^(st|street)?(predir|prefixdir|predirectional|dirpre|prefix|pre|prd)$/, 0.8]
+  ],
+  streetType: [
+    [/^(st|street|road|rd)(type|typ|suffix|suf|sfx)$/, 0.8],
+    [/^(posttype|posttyp|suftype|suffixtype)$/, 0.8]
+  ],
+  streetSuffix: [
+    [/^(st|street)?(sufdir|suffixdir|postdir|postdirectional|dirsuf|sufdirectional)$/, 0.8]
+  ],
+  unit: [
+    [/^(addr|add|address)?(unit|unitnum|unitnumber|unitno|apt|aptno|apartment|suite|ste|secondary)$/, 0.8]
+  ],
+  city: [
+    [/^(city|cityname|town|townname|municipality|muni|municipal|postalcity|postcomm|community|placename|msag|msagcomm)$/, 0.8],
+    [/^(place|locality|zipname)$/, 0.6]
+  ],
+  postcode: [
+    [/^(zip|zipcode|zip5|postcode|postalcode|postal|zipcd|postcd|addrzip|zip4)$/, 0.8]
+  ],
+  lat: [
+    [/^(lat|latitude|latdd|ycoord|ycoordinate|pointy|y)$/, 0.7]
+  ],
+  lon: [
+    [/^(lon|long|lng|longitude|londd|longdd|xcoord|xcoordinate|pointx|x)$/, 0.7]
+  ],
+  address: [
+    [/^(full|site|situs|street|st|prop|property|location|loc)?(address|addr|add)(full|ess)?\d?$/, 0.7],
+    [/^(fulladdress|fulladdr|siteaddress|siteaddr|situsaddr|situsaddress|locationaddress)$/, 0.8]
+  ]
+};
+
+// normalized names of object ids and other record identifiers, such as OBJECTID, FID, or ADDRESS_ID
+const identifierRegexp = /^(object|feature|record|row|unique|point|address|addr|ogcf|o|f|g|u)?id\d*$/;
+
+const numberRegexp = /^\d+[a-z]?(-\d+[a-z]?)?( 1\/2)?$/i;
+const postcodeRegexp = /^(\d{5}(-\d{4})?|[a-z]\d[a-z] ?\d[a-z]\d)$/i;
+const numericRegexp = /^-?\d+(\.\d+)?$/;
+
+function normalizeName(name) {
+  return _.toLower(name).replace(/[^a-z0-9]/g, '');
+}
+
+// the confidence that a field is a particular attribute based only on its name
+function nameScore(attribute, field) {
+  const normalized = normalizeName(field);
+
+  return _.defaultTo(_.max(namePatterns[attribute]
+    .filter(([pattern]) => pattern.test(normalized))
+    .map(([, score]) => score)), 0);
+
+}
+
+// the non-empty values of a field as trimmed strings
+function valuesOf(field, results) {
+  return results
+    .map(result => _.trim(_.toString(_.get(result, [field]))))
+    .filter(value => !_.isEmpty(value));
+}
+
+// ratio of values that satisfy a predicate, 0 when there are no values
+function ratio(values, predicate) {
+  return _.isEmpty(values) ? 0 : values.filter(predicate).length / values.length;
+}
+
+function endsWithStreetSuffix(value) {
+  const words = _.toLower(value).replace(/\./g, '').split(/\s+/);
+
+  // ignore a trailing directional, such as "Main St N"
+  if (words.length > 1 && _.includes(directionals, _.last(words))) {
+    words.pop();
+  }
+
+  return words.length > 1 && _.includes(streetSuffixes, _.last(words));
+
+}
+
+// whether a field is a record identifier, by its name or by values that
+// count up by one, which would otherwise look like house numbers
+function isIdentifier(field, values) {
+  if (identifierRegexp.test(normalizeName(field))) {
+    return true;
+  }
+
+  const integers = values.map(Number);
+
+  return integers.length > 1 && integers.every((value, i) => Number.isInteger(value) && (i === 0 || value === integers[i - 1] + 1));
+
+}
+
+// the confidence that values are each of the supported attributes
+const valueScores = {
+  number: values => ratio(values, value => numberRegexp.test(value)),
+  street: values => ratio(values, value => /^[^\d]/.test(value) && endsWithStreetSuffix(value)),
+  postcode: values => ratio(values, value => postcodeRegexp.test(value)),
+  lat: values => ratio(values, value => numericRegexp.test(value) && Math.abs(parseFloat(value)) <= 90 &&
+    !Number.isInteger(parseFloat(value))),
+  lon: values => ratio(values, value => numericRegexp.test(value) && Math.abs(parseFloat(value)) <= 180 &&
+    !Number.isInteger(parseFloat(value))),
+  // "123 Main St", the number and street combined in a single value
+  address: values => ratio(values, value => /^\d+[a-z]?\s+\S/i.test(value) &&
+    endsWithStreetSuffix(value.replace(/^\d+[a-z]?\s+/i, 'x ')))
+};
+
+// attributes whose values are distinctive enough that values not matching
+// the expected format should lower the confidence of a matching name
+const distinctiveAttributes = ['number', 'postcode', 'lat', 'lon', 'address'];
+
+// combine the name and value confidences for a field
+function score(attribute, field, results) {
+  const fromName = nameScore(attribute, field);
+
+  if (!valueScores[attribute]) {
+    return fromName;
+  }
+
+  const values = valuesOf(field, results);
+  const fromValues = valueScores[attribute](values);
+
+  if (fromName > 0 && _.includes(distinctiveAttributes, attribute)) {
+    // values that contradict the name lower the confidence
+    return _.round(fromName * (0.5 + fromValues / 2) + (1 - fromName) * fromValues, 2);
+  } else if (fromName > 0) {
+    // values can only raise the confidence
+    return _.round(fromName + (1 - fromName) * fromValues, 2);
+  }
+
+  // identifiers are integers too, so only their name could make them a number
+  if (attribute === 'number' && isIdentifier(field, values)) {
+    return 0;
+  }
+
+  // without a matching name, values alone are less convincing
+  return _.round(fromValues * 0.6, 2);
+
+}
+
+// find the field that is the best match for an attribute from the fields not
+// already used, returns undefined when no field is a confident enough match
+function bestField(attribute, fields, results) {
+  return _.maxBy(
+    fields
+      .map(field => ({ field, confidence: score(attribute, field, results) }))
+      .filter(candidate => candidate.confidence >= minimumConfidence),
+    'confidence');
+}
+
+// returns an object containing `conform`, the suggested conform mappings, and
+// `confidence`, the confidence of each mapping keyed by conform attribute.
+// lat/lon are only suggested when `options.coordinates` is true since
+// otherwise the geometry of the source is used.
+function suggest(fields, results, options) {
+  const conform = {};
+  const confidence = {};
+
+  let available = fields.slice();
+
+  const use = (attribute, candidate) => {
+    conform[attribute] = candidate.field;
+    confidence[attribute] = candidate.confidence;
+    available = _.without(available, candidate.field);
+  };
+
+  const attributes = _.get(options, 'coordinates') ? ['lat', 'lon', 'postcode'] : ['postcode'];
+
+  attributes.forEach(attribute => {
+    const candidate = bestField(attribute, available, results);
+    if (candidate) {
+      use(attribute, candidate);
+    }
+  });
+
+  const number = bestField('number', available, results);
+  const address = bestField('address', available, results);
+
+  if (address && (!number || address.confidence > number.confidence)) {
+    // the number and street are combined in a single field so split it
+    conform.number = { function: 'prefixed_number', field: address.field };
+    conform.street = { function: 'postfixed_street', field: address.field };
+    confidence.number = confidence.street = address.confidence;
+    available = _.without(available, address.field);
+
+  } else {
+    if (number) {
+      use('number', number);
+    }
+
+    const street = bestField('street', available, results);
+
+    if (street) {
+      use('street', street);
+
+      // street names split into components should be joined
+      const components = ['streetPrefix', 'streetType', 'streetSuffix']
+        .map(component => ({ component, candidate: bestField(component, available, results) }))
+        .filter(({ candidate }) => candidate);
+
+      if (!_.isEmpty(components)) {
+        const byComponent = _.fromPairs(components.map(({ component, candidate }) => [component, candidate.field]));
+
+        conform.street = {
+          function: 'join',
+          fields: _.compact([byComponent.streetPrefix, street.field, byComponent.streetType, byComponent.streetSuffix]),
+          separator: ' '
+        };
+
+        available = _.difference(available, _.values(byComponent));
+
+      }
+
+    }
+
+  }
+
+  ['unit', 'city'].forEach(attribute => {
+    const candidate = bestField(attribute, available, results);
+    if (candidate) {
+      use(attribute, candidate);
+    }
+  });
+
+  return { conform, confidence };
+
+}
+
+module.exports = {
+  suggest
+};
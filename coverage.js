@@ -0,0 +1,155 @@
+const _ = require('lodash');
+const topojson = require('topojson-client');
+const whichPolygon = require('which-polygon');
+const countries = require('i18n-iso-countries');
+
+// Infers the OpenAddresses coverage of a source by reverse geocoding sampled
+// points against the bundled Natural Earth country boundaries (world-atlas)
+// and US Census state and county boundaries (us-atlas).
+
+// US state FIPS codes to the postal abbreviations used in coverage.state
+const stateAbbreviations = {
+  '01': 'al', '02': 'ak', '04': 'az', '05': 'ar', '06': 'ca', '08': 'co', '09': 'ct', '10': 'de',
+  '11': 'dc', '12': 'fl', '13': 'ga', '15': 'hi', '16': 'id', '17': 'il', '18': 'in', '19': 'ia',
+  '20': 'ks', '21': 'ky', '22': 'la', '23': 'me', '24': 'md', '25': 'ma', '26': 'mi', '27': 'mn',
+  '28': 'ms', '29': 'mo', '30': 'mt', '31': 'ne', '32': 'nv', '33': 'nh', '34': 'nj', '35': 'nm',
+  '36': 'ny', '37': 'nc', '38': 'nd', '39': 'oh', '40': 'ok', '41': 'or', '42': 'pa', '44': 'ri',
+  '45': 'sc', '46': 'sd', '47': 'tn', '48': 'tx', '49': 'ut', '50': 'vt', '51': 'va', '53': 'wa',
+  '54': 'wv', '55': 'wi', '56': 'wy', '60': 'as', '66': 'gu', '69': 'mp', '72': 'pr', '78': 'vi'
+};
+
+// convert a TopoJSON object to a GeoJSON FeatureCollection whose properties include the feature id
+function toFeatureCollection(topology, object) {
+  const collection = topojson.feature(topology, topology.objects[object]);
+
+  collection.features.forEach(feature => {
+    feature.properties = _.assign({ id: feature.id }, feature.properties);
+  });
+
+  return collection;
+
+}
+
+// building the point-in-polygon indexes is expensive, so only do it once and only when needed
+let indexes;
+function getIndexes() {
+  if (!indexes) {
+    const world = require('world-atlas/countries-50m.json');
+    const us = require('us-atlas/counties-10m.json');
+
+    indexes = {
+      countries: whichPolygon(toFeatureCollection(world, 'countries')),
+      states: whichPolygon(toFeatureCollection(us, 'states')),
+      counties: whichPolygon(toFeatureCollection(us, 'counties'))
+    };
+
+  }
+  return indexes;
+}
+
+function isLonLat(point) {
+  return _.isArray(point) && _.inRange(point[0], -180, 180.000001) && _.inRange(point[1], -90, 90.000001);
+}
+
+// a representative [lon, lat] point of a GeoJSON geometry (the center of its bounding box)
+function representativePoint(geometry) {
+  const coordinates = _.get(geometry, 'coordinates');
+
+  if (!_.isArray(coordinates)) {
+    return undefined;
+  }
+
+  // flatten nested coordinate arrays down to a list of positions
+  let positions = [coordinates];
+  while (_.isArray(_.get(positions, '[0][0]'))) {
+    positions = _.flatten(positions);
+  }
+
+  const lons = positions.map(position => position[0]);
+  const lats = positions.map(position => position[1]);
+
+  return [(_.min(lons) + _.max(lons)) / 2, (_.min(lats) + _.max(lats)) / 2];
+
+}
+
+// the value shared by every item in the list, or undefined if any differ
+function unanimous(values) {
+  return _.uniq(values).length === 1 ? values[0] : undefined;
+}
+
+// a GeoJSON geometry describing the extent of the points, a Point if there's only one location
+function extent(points) {
+  const [minLon, maxLon] = [_.min(points.map(p => p[0])), _.max(points.map(p => p[0]))];
+  const [minLat, maxLat] = [_.min(points.map(p => p[1])), _.max(points.map(p => p[1]))];
+
+  if (minLon === maxLon && minLat === maxLat) {
+    return { type: 'Point', coordinates: [minLon, minLat] };
+  }
+
+  return {
+    type: 'Polygon',
+    coordinates: [[[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]]]
+  };
+
+}
+
+// returns the coverage inferred from a list of [lon, lat] points and the city
+// values of the sampled records, if known.  Each of country, state, and county
+// is only included when every point falls in the same one, city when every
+// record has the same (non-blank) value in a country, and geometry is the
+// extent of the points.  An empty object is returned when there are no valid points.
+function infer(points, cities) {
+  const validPoints = points.filter(isLonLat);
+
+  if (_.isEmpty(validPoints)) {
+    return {};
+  }
+
+  const coverage = {};
+
+  const countryCodes = validPoints.map(point => {
+    const country = getIndexes().countries(point);
+    return country ? countries.numericToAlpha2(country.id) : undefined;
+  });
+
+  const country = unanimous(countryCodes);
+
+  if (country) {
+    coverage.country = _.toLower(country);
+  }
+
+  // only US states and counties are available
+  if (coverage.country === 'us') {
+    const state = unanimous(validPoints.map(point => _.get(getIndexes().states(point), 'id')));
+
+    if (stateAbbreviations[state]) {
+      coverage.state = stateAbbreviations[state];
+
+      const county = unanimous(validPoints.map(point => _.get(getIndexes().counties(point), 'name')));
+
+      if (county) {
+        coverage.county = county;
+      }
+
+    }
+
+  }
+
+  // city names are compared ignoring case and surrounding whitespace, but returned as sampled
+  const cityNames = _.defaultTo(cities, []).map(city => _.trim(_.toString(city))).filter(_.identity);
+  const city = unanimous(cityNames.map(_.toLower));
+
+  if (coverage.country && city) {
+    coverage.city = cityNames[0];
+  }
+
+  coverage.geometry = extent(validPoints);
+
+  return coverage;
+
+}
+
+module.exports = {
+  infer,
+  representativePoint
+};
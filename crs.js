@@ -0,0 +1,140 @@
+const _ = require('lodash');
+
+// Helpers for normalizing the coordinate system descriptions found in sources
+// (.prj files, ArcGIS spatial references, and GeoJSON crs members) to codes
+// like 'EPSG:2272'.  Esri-specific codes that have no EPSG equivalent are
+// returned as 'ESRI:<code>'.
+
+const WGS84 = 'EPSG:4326';
+
+// the Esri coordinate system tables are large, so only load them when needed
+let coordinateSystems;
+function getCoordinateSystems() {
+  if (!coordinateSystems) {
+    const projected = require('@esri/proj-codes/pe_list_projcs.json').ProjectedCoordinateSystems;
+    const geographic = require('@esri/proj-codes/pe_list_geogcs.json').GeographicCoordinateSystems;
+    const all = projected.concat(geographic);
+
+    // coordinate systems are listed under each of their old codes as well as the
+    // latest, so when indexing by name prefer the entries that are the latest
+    const [latest, superseded] = _.partition(all, crs => crs.wkid === crs.latestWkid);
+
+    coordinateSystems = {
+      byWkid: _.keyBy(all, 'wkid'),
+      byName: _.assign(
+        _.keyBy(superseded, crs => normalizeName(crs.name)),
+        _.keyBy(latest, crs => normalizeName(crs.name)))
+    };
+
+  }
+  return coordinateSystems;
+}
+
+// names differ in punctuation and case between WKT flavors, so compare only letters and digits
+function normalizeName(name) {
+  return _.toLower(name).replace(/[^a-z0-9]/g, '');
+}
+
+// convert a (possibly outdated) Esri wkid to a normalized code
+function fromWkid(wkid) {
+  if (!_.isFinite(wkid)) {
+    return undefined;
+  }
+
+  const crs = getCoordinateSystems().byWkid[wkid];
+
+  if (!crs) {
+    // codes in the EPSG range are assumed to be EPSG codes
+    return wkid < 32768 ? `EPSG:${wkid}` : `ESRI:${wkid}`;
+  }
+
+  const latest = _.defaultTo(getCoordinateSystems().byWkid[crs.latestWkid], crs);
+
+  return `${latest.authority === 'EPSG' ? 'EPSG' : 'ESRI'}:${latest.wkid}`;
+
+}
+
+// convert the WKT contents of a .prj file (or ArcGIS wkt) to a normalized code
+function fromWkt(wkt) {
+  if (!_.isString(wkt)) {
+    return undefined;
+  }
+
+  // OGC WKT declares the authority of the entire coordinate system last
+  const authority = wkt.match(/AUTHORITY\[\s*"EPSG"\s*,\s*"?(\d+)"?\s*\]\s*\]\s*$/i);
+  if (authority) {
+    return `EPSG:${authority[1]}`;
+  }
+
+  // otherwise look up the coordinate system by name, which is how Esri .prj files identify it
+  const name = wkt.match(/^\s*(?:PROJCS|GEOGCS)\[\s*"([^"]+)"/i);
+  if (name) {
+    const crs = getCoordinateSystems().byName[normalizeName(name[1])];
+
+    if (crs) {
+      return fromWkid(crs.wkid);
+    }
+
+  }
+
+  return undefined;
+
+}
+
+// convert an ArcGIS spatialReference object to a normalized code
+function fromSpatialReference(spatialReference) {
+  if (!spatialReference) {
+    return undefined;
+  }
+
+  return _.defaultTo(
+    fromWkid(_.defaultTo(spatialReference.latestWkid, spatialReference.wkid)),
+    fromWkt(spatialReference.wkt));
+
+}
+
+// convert an OGC name of a coordinate system, such as 'urn:ogc:def:crs:EPSG::3857',
+// 'EPSG:3857', or 'http://www.opengis.net/def/crs/EPSG/0/3857', to a normalized code
+function fromOgcName(name) {
+  if (!_.isString(name)) {
+    return undefined;
+  }
+
+  // OGC CRS84 is WGS84 with longitude/latitude axis order, which is what GeoJSON uses anyway
+  if (/CRS:?84$/i.test(name)) {
+    return WGS84;
+  }
+
+  const code = name.match(/EPSG(?::(?:[\d.]*:)?|\/[\d.]+\/|\.xml#)(\d+)$/i);
+  if (code) {
+    return `EPSG:${code[1]}`;
+  }
+
+  return undefined;
+
+}
+
+// convert a GeoJSON crs member to a normalized code, supporting both named
+// crs (such as 'urn:ogc:def:crs:EPSG::3857') and the older 'EPSG' type
+function fromGeoJsonCrs(crs) {
+  if (_.get(crs, 'type') === 'EPSG' && _.has(crs, 'properties.code')) {
+    return `EPSG:${crs.properties.code}`;
+  }
+
+  return fromOgcName(_.get(crs, 'properties.name'));
+
+}
+
+function isWgs84(code) {
+  return code === WGS84;
+}
+
+module.exports = {
+  WGS84,
+  fromWkid,
+  fromWkt,
+  fromSpatialReference,
+  fromGeoJsonCrs,
+  fromOgcName,
+  isWgs84
+};
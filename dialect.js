@@ -0,0 +1,179 @@
+const _ = require('lodash');
+
+// Sniffs the dialect of delimited files (delimiter, quote character, line
+// ending, and whether there's a header row) from a sample of decoded text.
+// Only delimiters and quote characters supported by csv-parse and the
+// OpenAddresses machine are considered.
+
+const delimiters = [',', '\t', ';', '|'];
+const quotes = ['"', '\''];
+
+// the maximum number of records from the sample used for sniffing
+const maxRecords = 20;
+
+// parse records from text honoring quoted fields, which may contain delimiters,
+// escaped (doubled) quotes, and line endings.  Returns the complete records
+// (those terminated by a line ending), the index in the text just past each
+// of them, and the line ending that terminated the first record.
+function parseRecords(text, delimiter, quote, limit) {
+  const records = [];
+  const ends = [];
+  let lineEnding;
+
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  while (i < text.length && records.length < limit) {
+    const c = text[i];
+
+    if (quoted && c === quote && text[i + 1] === quote) {
+      // escaped quote
+      field += quote;
+      i += 2;
+    } else if (c === quote && (quoted || field === '')) {
+      // quotes only open at the start of a field
+      quoted = !quoted;
+      i += 1;
+    } else if (quoted) {
+      field += c;
+      i += 1;
+    } else if (c === delimiter) {
+      record.push(field);
+      field = '';
+      i += 1;
+    } else if (c === '\r' || c === '\n') {
+      const ending = c === '\r' && text[i + 1] === '\n' ? '\r\n' : c;
+      lineEnding = _.defaultTo(lineEnding, ending);
+
+      record.push(field);
+      records.push(record);
+      ends.push(i + ending.length);
+
+      record = [];
+      field = '';
+      i += ending.length;
+    } else {
+      field += c;
+      i += 1;
+    }
+
+  }
+
+  return { records, ends, lineEnding };
+
+}
+
+// the quote character that wraps the most fields, defaults to '"'
+function sniffQuote(text) {
+  const counts = quotes.map(quote => {
+    const pattern = new RegExp(`(^|[,\\t;|\\r\\n])${quote}[^${quote}]*${quote}(?=[,\\t;|\\r\\n]|$)`, 'g');
+    return _.defaultTo(text.match(pattern), []).length;
+  });
+
+  return counts[1] > counts[0] ? quotes[1] : quotes[0];
+
+}
+
+// the delimiter that splits the records into the most consistent number of
+// fields (more than one), ties go to the first of `delimiters`
+function sniffDelimiter(text, quote) {
+  const scores = delimiters.map(delimiter => {
+    const records = parseRecords(text, delimiter, quote, maxRecords).records.filter(record => !_.isEqual(record, ['']));
+    const fieldCount = _.get(records, '[0].length', 0);
+
+    if (fieldCount < 2) {
+      return [0, 0];
+    }
+
+    return [records.filter(record => record.length === fieldCount).length / records.length, fieldCount];
+
+  });
+
+  const best = _.maxBy(_.range(delimiters.length), i => scores[i][0] * 1000 + scores[i][1]);
+
+  // fall back to a comma for single-column files
+  return scores[best][1] > 0 ? delimiters[best] : delimiters[0];
+
+}
+
+function isNumeric(value) {
+  return /^\s*-?(\d+\.?\d*|\.\d+)\s*$/.test(value);
+}
+
+// whether the first record is a header, based on the approach of Python's
+// csv.Sniffer: for each column whose values in the remaining records are
+// all numeric or all the same length, the first record votes for a header
+// if its value isn't numeric or isn't that length.  Without any votes, a
+// header is assumed since nearly all address sources have one.
+function sniffHeader(records) {
+  const [first, ...rest] = records;
+
+  const rows = rest.filter(record => record.length === first.length);
+
+  if (_.isEmpty(rows)) {
+    return true;
+  }
+
+  const votes = first.map((value, column) => {
+    const values = rows.map(row => row[column]);
+
+    if (values.every(isNumeric)) {
+      return isNumeric(value) ? -1 : 1;
+    } else if (_.uniq(values.map(v => v.length)).length === 1) {
+      return value.length === values[0].length ? -1 : 1;
+    }
+    return 0;
+
+  });
+
+  return _.sum(votes) >= 0;
+
+}
+
+// whether the text contains at least one complete record, so that sniffing
+// isn't attempted on a partial first line
+function hasCompleteRecord(text) {
+  const quote = sniffQuote(text);
+
+  return delimiters.some(delimiter => !_.isEmpty(parseRecords(text, delimiter, quote, 1).records));
+
+}
+
+// sniff the dialect of a sample of text.  Returns an object with the
+// `delimiter`, `quote` character, `lineEnding` ('\n' if there isn't a complete
+// record), `header` (whether the first record is a header), `fields` (the
+// values of the first record), and `headerLength` (the number of characters
+// of the first record, including its line ending).
+function sniff(text) {
+  const quote = sniffQuote(text);
+  const delimiter = sniffDelimiter(text, quote);
+
+  const parsed = parseRecords(text, delimiter, quote, maxRecords);
+
+  let fields = _.head(parsed.records);
+  let headerLength = _.defaultTo(_.head(parsed.ends), text.length);
+
+  if (!fields) {
+    // the sample is a single record without a line ending, such as a file with only a header
+    fields = _.head(parseRecords(`${text}\n`, delimiter, quote, 1).records);
+    headerLength = text.length;
+  }
+
+  return {
+    delimiter,
+    quote,
+    lineEnding: _.defaultTo(parsed.lineEnding, '\n'),
+    header: sniffHeader(_.isEmpty(parsed.records) ? [fields] : parsed.records),
+    fields,
+    headerLength
+  };
+
+}
+
+module.exports = {
+  hasCompleteRecord,
+  sniffHeader,
+  sniff
+};
@@ -0,0 +1,234 @@
+const _ = require('lodash');
+const iconv = require('iconv-lite');
+
+// Helpers for detecting the character encoding of delimited and DBF files.
+// Encodings are named the way iconv-lite (and the `encoding` conform
+// attribute) expect, such as 'utf-8', 'windows-1252', or 'cp850'.
+
+const UTF8 = 'utf-8';
+
+// single-byte encodings tried when a sample isn't valid UTF-8, in order of preference
+const candidates = ['windows-1252', 'cp850'];
+
+// DBF language driver IDs (byte 29 of the header) and the code pages they declare
+const languageDrivers = {
+  0x01: 'cp437',
+  0x02: 'cp850',
+  0x03: 'windows-1252',
+  0x08: 'cp865',
+  0x09: 'cp437',
+  0x0a: 'cp850',
+  0x0b: 'cp437',
+  0x0d: 'cp437',
+  0x0e: 'cp850',
+  0x0f: 'cp437',
+  0x10: 'cp850',
+  0x11: 'cp437',
+  0x12: 'cp850',
+  0x13: 'cp932',
+  0x14: 'cp850',
+  0x15: 'cp437',
+  0x16: 'cp850',
+  0x17: 'cp865',
+  0x18: 'cp437',
+  0x19: 'cp437',
+  0x1a: 'cp850',
+  0x1b: 'cp437',
+  0x1d: 'cp850',
+  0x1f: 'cp852',
+  0x22: 'cp852',
+  0x23: 'cp852',
+  0x24: 'cp860',
+  0x25: 'cp850',
+  0x26: 'cp866',
+  0x37: 'cp850',
+  0x40: 'cp852',
+  0x4d: 'cp936',
+  0x4e: 'cp949',
+  0x4f: 'cp950',
+  0x50: 'cp874',
+  0x57: 'windows-1252',
+  0x58: 'windows-1252',
+  0x59: 'windows-1252',
+  0x64: 'cp852',
+  0x65: 'cp866',
+  0x66: 'cp865',
+  0x67: 'cp861',
+  0x6a: 'cp737',
+  0x6b: 'cp857',
+  0x78: 'cp950',
+  0x79: 'cp949',
+  0x7a: 'cp936',
+  0x7b: 'cp932',
+  0x7c: 'cp874',
+  0x7d: 'windows-1255',
+  0x7e: 'windows-1256',
+  0x87: 'cp852',
+  0x88: 'cp857',
+  0xc8: 'windows-1250',
+  0xc9: 'windows-1251',
+  0xca: 'windows-1254',
+  0xcb: 'windows-1253',
+  0xcc: 'windows-1257'
+};
+
+// aliases that should be reported under a single name
+const aliases = {
+  utf8: UTF8,
+  // ASCII is a subset of UTF-8, which is verified against the sample anyway
+  ascii: UTF8,
+  'us-ascii': UTF8,
+  latin1: 'iso-8859-1',
+  'iso8859-1': 'iso-8859-1'
+};
+
+// normalize an encoding label, such as 'UTF8', 'ANSI 1252', or '88591' as
+// found in .cpg files, to a supported name, returns undefined if not supported
+function normalize(label) {
+  if (!_.isString(label)) {
+    return undefined;
+  }
+
+  let name = _.toLower(_.trim(label)).replace(/^ansi\s*/, '');
+
+  // .cpg files commonly contain just a code page number
+  if (name === '65001') {
+    name = UTF8;
+  } else if (/^125\d$/.test(name)) {
+    name = `windows-${name}`;
+  } else if (/^8859\d+$/.test(name)) {
+    name = `iso-8859-${name.substr(4)}`;
+  } else if (/^\d+$/.test(name)) {
+    name = `cp${name}`;
+  }
+
+  name = _.defaultTo(aliases[name], name);
+
+  return iconv.encodingExists(name) ? name : undefined;
+
+}
+
+// the encoding declared by the charset parameter of a Content-Type header
+function fromContentType(contentType) {
+  const charset = _.toString(contentType).match(/charset\s*=\s*["']?([^;"'\s]+)/i);
+
+  return charset ? normalize(charset[1]) : undefined;
+
+}
+
+// the encoding declared by the contents of a shapefile .cpg file
+function fromCpg(contents) {
+  return normalize(_.head(_.toString(contents).split(/\r?\n/)));
+}
+
+// the encoding declared by a DBF language driver ID, 0 means not declared
+function fromLanguageDriver(languageDriverId) {
+  return languageDrivers[languageDriverId];
+}
+
+// the encoding declared by a byte order mark at the start of a sample
+function fromBom(sample) {
+  if (sample.length >= 3 && sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) {
+    return UTF8;
+  } else if (sample.length >= 2 && sample[0] === 0xff && sample[1] === 0xfe) {
+    return 'utf-16le';
+  } else if (sample.length >= 2 && sample[0] === 0xfe && sample[1] === 0xff) {
+    return 'utf-16be';
+  }
+  return undefined;
+
+}
+
+// the length of the UTF-8 sequence started by a byte, 0 if it can't start one
+function sequenceLength(byte) {
+  if (byte < 0x80) {
+    return 1;
+  } else if (byte >= 0xc2 && byte <= 0xdf) {
+    return 2;
+  } else if (byte >= 0xe0 && byte <= 0xef) {
+    return 3;
+  } else if (byte >= 0xf0 && byte <= 0xf4) {
+    return 4;
+  }
+  return 0;
+
+}
+
+// whether a sample is valid UTF-8, a sequence cut off by the end of the
+// sample is allowed since samples are usually the first chunk of a stream
+function isUtf8(sample) {
+  let i = 0;
+
+  while (i < sample.length) {
+    const length = sequenceLength(sample[i]);
+
+    if (length === 0) {
+      return false;
+    }
+
+    for (let j = 1; j < length && i + j < sample.length; j += 1) {
+      if ((sample[i + j] & 0xc0) !== 0x80) {
+        return false;
+      }
+    }
+
+    i += length;
+
+  }
+
+  return true;
+
+}
+
+// the ratio of non-ASCII characters in decoded text that are letters, text
+// decoded with the wrong code page tends to contain symbols and box drawing
+function letterRatio(text) {
+  const nonAscii = _.defaultTo(text.match(/[^\x00-\x7f]/g), []);
+
+  if (_.isEmpty(nonAscii)) {
+    return 0;
+  }
+
+  return nonAscii.filter(c => /[\u00c0-\u00d6\u00d8-\u00f6\u00f8-\u024f]/.test(c)).length / nonAscii.length;
+
+}
+
+// guess the encoding of a sample without a declaration
+function guess(sample) {
+  if (isUtf8(sample)) {
+    return UTF8;
+  }
+
+  // _.maxBy returns the first of equal candidates, so ties go to windows-1252
+  return _.maxBy(candidates, candidate => letterRatio(iconv.decode(sample, candidate)));
+
+}
+
+// detect the encoding of a sample (a Buffer), preferring a byte order mark,
+// then the declared encoding (if any), and finally guessing from the
+// contents.  A declared UTF-8 encoding that the sample contradicts is ignored.
+function detect(sample, declared) {
+  const bom = fromBom(sample);
+
+  if (bom) {
+    return bom;
+  }
+
+  if (declared && (declared !== UTF8 || isUtf8(sample))) {
+    return declared;
+  }
+
+  return guess(sample);
+
+}
+
+module.exports = {
+  UTF8,
+  normalize,
+  fromContentType,
+  fromCpg,
+  fromLanguageDriver,
+  fromBom,
+  isUtf8,
+  detect
+};
@@ -0,0 +1,424 @@
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+
+// Reads the tables of an Esri File Geodatabase (a .gdb directory), following
+// the description of the format by the GDAL OpenFileGDB driver.  Each table is
+// a .gdbtable file (a header, the field descriptions, then the rows) and a
+// .gdbtablx file of the offsets of its rows by object id.  The tables are
+// named by the system catalog, the table with id 1.  Geometries are skipped,
+// only attributes are read.
+
+// field types by their number, named as they are by Arcgis services
+const fieldTypes = [
+  'esriFieldTypeSmallInteger',
+  'esriFieldTypeInteger',
+  'esriFieldTypeSingle',
+  'esriFieldTypeDouble',
+  'esriFieldTypeString',
+  'esriFieldTypeDate',
+  'esriFieldTypeOID',
+  'esriFieldTypeGeometry',
+  'esriFieldTypeBlob',
+  'esriFieldTypeRaster',
+  'esriFieldTypeGUID',
+  'esriFieldTypeGlobalID',
+  'esriFieldTypeXML'
+];
+
+// geometry types of tables by their number, tables without geometry are 0
+const geometryTypes = {
+  1: 'esriGeometryPoint',
+  2: 'esriGeometryMultipoint',
+  3: 'esriGeometryPolyline',
+  4: 'esriGeometryPolygon',
+  9: 'esriGeometryMultiPatch'
+};
+
+// the id of the system catalog, which lists every table
+const catalogId = 1;
+
+// dates are stored as the number of days since 1899-12-30
+const dateEpoch = Date.UTC(1899, 11, 30);
+
+// the name of the .gdbtable file of a table, such as a00000009.gdbtable
+function getTableFileName(id) {
+  return `a${_.padStart(id.toString(16), 8, '0')}.gdbtable`;
+}
+
+// reads values from a Buffer in sequence, throwing when reading past its end
+function createCursor(buffer) {
+  let offset = 0;
+
+  const advance = length => {
+    const start = offset;
+    offset += length;
+
+    if (offset > buffer.length) {
+      throw new Error('Unexpected end of data');
+    }
+
+    return start;
+
+  };
+
+  const cursor = {
+    uint8: () => buffer.readUInt8(advance(1)),
+    int16: () => buffer.readInt16LE(advance(2)),
+    uint16: () => buffer.readUInt16LE(advance(2)),
+    int32: () => buffer.readInt32LE(advance(4)),
+    uint32: () => buffer.readUInt32LE(advance(4)),
+    float32: () => buffer.readFloatLE(advance(4)),
+    float64: () => buffer.readDoubleLE(advance(8)),
+    utf8: length => buffer.toString('utf8', advance(length), offset),
+    utf16: length => buffer.toString('utf16le', advance(length * 2), offset),
+    bytes: length => buffer.slice(advance(length), offset),
+    skip: length => advance(length),
+    // whether the next bytes are those of the spatial index grid sizes (a
+    // zero byte then their number, 1 to 3), which follow the optional extents
+    atGridSizes: () => offset + 5 <= buffer.length && buffer[offset] === 0 &&
+      _.inRange(buffer.readUInt32LE(offset + 1), 1, 4),
+    // an unsigned integer of 7 bits per byte, least significant first, where
+    // the high bit is set on every byte but the last
+    varuint: () => {
+      let value = 0;
+      let multiplier = 1;
+      let byte;
+
+      do {
+        byte = cursor.uint8();
+        value += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+      } while (byte & 0x80);
+
+      return value;
+
+    }
+  };
+
+  return cursor;
+
+}
+
+// read `length` bytes of a file starting at `position`
+function readBytes(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+
+  if (bytesRead < length) {
+    throw new Error('Unexpected end of file');
+  }
+
+  return buffer;
+
+}
+
+// read a little-endian unsigned integer of up to 6 bytes
+function readUInt(buffer, offset, length) {
+  return buffer.readUIntLE(offset, length);
+}
+
+// skip the definition of a geometry field: its coordinate system, the
+// origins, scales, and tolerances of its coordinates, its extent, and the
+// sizes of its spatial index grid
+function skipGeometryField(cursor) {
+  cursor.skip(1);
+  const flag = cursor.uint8();
+  cursor.skip(cursor.uint16());
+
+  const geometryFlags = cursor.uint8();
+  const hasM = (geometryFlags & 2) !== 0;
+  const hasZ = (geometryFlags & 4) !== 0;
+
+  // x and y origin and scale, then those of m and z, then the tolerances
+  cursor.skip(8 * 3 + (hasM ? 8 * 2 : 0) + (hasZ ? 8 * 2 : 0));
+  cursor.skip(8 + (hasM ? 8 : 0) + (hasZ ? 8 : 0));
+
+  // the x and y extent, then the optional z and m extents
+  cursor.skip(8 * 4);
+  for (let extents = 0; !cursor.atGridSizes(); extents += 1) {
+    if (extents === 2) {
+      throw new Error('Could not find the spatial index of the geometry field');
+    }
+    cursor.skip(8 * 2);
+  }
+
+  cursor.skip(1);
+  cursor.skip(8 * cursor.uint32());
+
+  return flag;
+
+}
+
+// read the description of a field, returns its `name`, `alias`, `type`, and
+// whether it's `nullable`
+function readField(cursor) {
+  const name = cursor.utf16(cursor.uint8());
+  const alias = cursor.utf16(cursor.uint8());
+  const type = cursor.uint8();
+
+  let flag;
+
+  switch (type) {
+    case 4:
+      // the maximum length, then a default value
+      cursor.skip(4);
+      flag = cursor.uint8();
+      cursor.skip(cursor.varuint());
+      break;
+    case 6:
+      cursor.skip(1);
+      cursor.skip(1);
+      flag = 0;
+      break;
+    case 7:
+      flag = skipGeometryField(cursor);
+      break;
+    case 8:
+    case 10:
+    case 11:
+    case 12:
+      cursor.skip(1);
+      flag = cursor.uint8();
+      break;
+    case 0:
+    case 1:
+    case 2:
+    case 3:
+    case 5:
+      // the width, then a default value
+      cursor.skip(1);
+      flag = cursor.uint8();
+      cursor.skip(cursor.uint8());
+      break;
+    default:
+      throw new Error(`Unsupported field type ${_.defaultTo(fieldTypes[type], type)} of field ${name}`);
+  }
+
+  return {
+    name: name,
+    alias: alias,
+    type: fieldTypes[type],
+    nullable: (flag & 1) !== 0
+  };
+
+}
+
+// format the 16 bytes of a GUID as it's displayed, {XXXXXXXX-XXXX-XXXX-XXXX-XXXXXXXXXXXX},
+// the first three groups are little-endian
+function formatGuid(bytes) {
+  const hex = indexes => indexes.map(i => _.padStart(bytes[i].toString(16), 2, '0')).join('');
+
+  return _.toUpper(`{${hex([3, 2, 1, 0])}-${hex([5, 4])}-${hex([7, 6])}-${hex([8, 9])}-${hex(_.range(10, 16))}}`);
+
+}
+
+// read the value of a field from a row, geometries and binary values are skipped
+function readValue(cursor, field) {
+  switch (field.type) {
+    case 'esriFieldTypeSmallInteger':
+      return cursor.int16();
+    case 'esriFieldTypeInteger':
+      return cursor.int32();
+    case 'esriFieldTypeSingle':
+      return cursor.float32();
+    case 'esriFieldTypeDouble':
+      return cursor.float64();
+    case 'esriFieldTypeDate':
+      return new Date(dateEpoch + Math.round(cursor.float64() * 86400000)).toISOString();
+    case 'esriFieldTypeString':
+    case 'esriFieldTypeXML':
+      return cursor.utf8(cursor.varuint());
+    case 'esriFieldTypeGUID':
+    case 'esriFieldTypeGlobalID':
+      return formatGuid(cursor.bytes(16));
+    default:
+      cursor.skip(cursor.varuint());
+      return undefined;
+  }
+
+}
+
+// open a table from its .gdbtable file, the .gdbtablx file is expected
+// alongside it.  Returns the table with its number of rows (`count`),
+// `geometryType` (undefined for tables without geometry), and `fields`.
+function openTable(tablePath) {
+  const fd = fs.openSync(tablePath, 'r');
+
+  try {
+    const header = readBytes(fd, 0, 40);
+    const fieldsOffset = readUInt(header, 32, 6);
+
+    const fieldsLength = readBytes(fd, fieldsOffset, 4).readUInt32LE(0);
+    const cursor = createCursor(readBytes(fd, fieldsOffset + 4, fieldsLength));
+
+    cursor.skip(4);
+    const geometryType = cursor.uint32() & 0xff;
+    const fields = _.range(cursor.int16()).map(() => readField(cursor));
+
+    return {
+      fd: fd,
+      offsets: openOffsets(tablePath.replace(/\.gdbtable$/i, '.gdbtablx')),
+      count: header.readUInt32LE(4),
+      geometryType: geometryTypes[geometryType],
+      fields: fields
+    };
+
+  } catch (err) {
+    fs.closeSync(fd);
+    throw err;
+
+  }
+
+}
+
+// read the header of a .gdbtablx file, which lists the offset of each row
+// in blocks of 1024 rows.  When there are deleted blocks, only the blocks
+// that remain are stored, in order, with a bitmap of those that remain.
+function openOffsets(tablxPath) {
+  const fd = fs.openSync(tablxPath, 'r');
+
+  try {
+    const header = readBytes(fd, 0, 16);
+    const blocks = header.readUInt32LE(4);
+    const offsetSize = header.readUInt32LE(12);
+
+    const offsets = {
+      fd: fd,
+      offsetSize: offsetSize,
+      maxObjectId: header.readUInt32LE(8)
+    };
+
+    if (blocks > 0) {
+      const trailer = readBytes(fd, 16 + blocks * 1024 * offsetSize, 16);
+      const bitmapWords = trailer.readUInt32LE(0);
+
+      if (bitmapWords > 0) {
+        offsets.bitmap = readBytes(fd, 16 + blocks * 1024 * offsetSize + 16, bitmapWords * 4);
+        offsets.maxObjectId = trailer.readUInt32LE(4) * 1024;
+      }
+
+    }
+
+    return offsets;
+
+  } catch (err) {
+    fs.closeSync(fd);
+    throw err;
+
+  }
+
+}
+
+// the offset of a row in the .gdbtable file, 0 when the row has been deleted
+function getRowOffset(offsets, objectId) {
+  const index = objectId - 1;
+  let position = index;
+
+  if (offsets.bitmap) {
+    const block = Math.floor(index / 1024);
+    const isSet = i => (offsets.bitmap[i >> 3] & (1 << (i & 7))) !== 0;
+
+    if (!isSet(block)) {
+      return 0;
+    }
+
+    // only the blocks before this one that remain are stored
+    position = _.range(block).filter(isSet).length * 1024 + index % 1024;
+
+  }
+
+  return readUInt(readBytes(offsets.fd, 16 + position * offsets.offsetSize, offsets.offsetSize), 0, offsets.offsetSize);
+
+}
+
+// read the row of a table with an object id, returns an object of the values
+// of every field (except geometry and binary fields) or undefined when the
+// row has been deleted
+function readRow(table, objectId) {
+  const offset = getRowOffset(table.offsets, objectId);
+
+  if (!offset) {
+    return undefined;
+  }
+
+  const length = readBytes(table.fd, offset, 4).readUInt32LE(0);
+  const cursor = createCursor(readBytes(table.fd, offset + 4, length));
+
+  // a bit for each nullable field, set when its value is null
+  const nullable = table.fields.filter(field => field.nullable);
+  const nulls = cursor.bytes(Math.ceil(nullable.length / 8));
+
+  return table.fields.reduce((row, field) => {
+    const nullIndex = nullable.indexOf(field);
+
+    if (field.type === 'esriFieldTypeOID') {
+      row[field.name] = objectId;
+    } else if (nullIndex !== -1 && (nulls[nullIndex >> 3] & (1 << (nullIndex & 7))) !== 0) {
+      row[field.name] = null;
+    } else {
+      const value = readValue(cursor, field);
+
+      if (!_.isUndefined(value)) {
+        row[field.name] = value;
+      }
+
+    }
+
+    return row;
+
+  }, {});
+
+}
+
+// call `callback` with each row of a table that hasn't been deleted, in order
+// of object id starting from `start` (the first row by default), until it
+// returns false.  Returns the object id to continue reading from when stopped,
+// undefined once every row has been read.
+function forEachRow(table, callback, start) {
+  for (let objectId = _.defaultTo(start, 1); objectId <= table.offsets.maxObjectId; objectId += 1) {
+    const row = readRow(table, objectId);
+
+    if (row && callback(row) === false) {
+      return objectId + 1;
+    }
+
+  }
+
+}
+
+function closeTable(table) {
+  fs.closeSync(table.fd);
+  fs.closeSync(table.offsets.fd);
+}
+
+// list the tables of the geodatabase in the directory `gdbPath` from its
+// system catalog, except the system tables (named GDB_*), each with its
+// `name` and the `path` of its .gdbtable file
+function listTables(gdbPath) {
+  const catalog = openTable(path.join(gdbPath, getTableFileName(catalogId)));
+  const tables = [];
+
+  try {
+    forEachRow(catalog, row => {
+      if (!_.startsWith(row.Name, 'GDB_')) {
+        tables.push({ name: row.Name, path: path.join(gdbPath, getTableFileName(row.ID)) });
+      }
+    });
+
+  } finally {
+    closeTable(catalog);
+
+  }
+
+  return tables.filter(table => fs.existsSync(table.path));
+
+}
+
+module.exports = {
+  getTableFileName,
+  listTables,
+  openTable,
+  forEachRow,
+  closeTable
+};
@@ -0,0 +1,191 @@
+const _ = require('lodash');
+
+// Helpers for converting the geometries of sampled records to GeoJSON.  Both
+// Esri JSON and shapefiles describe polygons as a flat list of rings where
+// clockwise rings are exteriors and counter-clockwise rings are holes.
+
+// shapefile shape types, the Z and M variants share their 2D layout
+const shapeTypes = {
+  0: 'Null',
+  1: 'Point',
+  3: 'PolyLine',
+  5: 'Polygon',
+  8: 'MultiPoint',
+  11: 'Point',
+  13: 'PolyLine',
+  15: 'Polygon',
+  18: 'MultiPoint',
+  21: 'Point',
+  23: 'PolyLine',
+  25: 'Polygon',
+  28: 'MultiPoint'
+};
+
+// twice the signed area of a ring (shoelace formula), negative when the ring is clockwise
+function signedArea(ring) {
+  return _.sum(ring.map((point, i) => {
+    const nextPoint = ring[(i + 1) % ring.length];
+    return (nextPoint[0] - point[0]) * (nextPoint[1] + point[1]) * -1;
+  }));
+}
+
+// group a list of rings into a Polygon or MultiPolygon
+function ringsToGeometry(rings) {
+  const polygons = rings.reduce((polygons, ring) => {
+    if (signedArea(ring) < 0 || _.isEmpty(polygons)) {
+      // clockwise ring (or a hole with no exterior) starts a new polygon
+      polygons.push([ring]);
+    } else {
+      // counter-clockwise ring is a hole in the most recent polygon
+      _.last(polygons).push(ring);
+    }
+    return polygons;
+  }, []);
+
+  if (_.isEmpty(polygons)) {
+    return null;
+  } else if (polygons.length === 1) {
+    return { type: 'Polygon', coordinates: polygons[0] };
+  }
+  return { type: 'MultiPolygon', coordinates: polygons };
+
+}
+
+// convert a list of paths to a LineString or MultiLineString
+function pathsToGeometry(paths) {
+  if (_.isEmpty(paths)) {
+    return null;
+  } else if (paths.length === 1) {
+    return { type: 'LineString', coordinates: paths[0] };
+  }
+  return { type: 'MultiLineString', coordinates: paths };
+
+}
+
+// convert an Esri JSON geometry (as returned by an ArcGIS server) to GeoJSON
+function fromEsriGeometry(geometry) {
+  if (!geometry) {
+    return null;
+  } else if (_.isFinite(geometry.x) && _.isFinite(geometry.y)) {
+    return { type: 'Point', coordinates: [geometry.x, geometry.y] };
+  } else if (_.isArray(geometry.points)) {
+    return { type: 'MultiPoint', coordinates: geometry.points.map(point => point.slice(0, 2)) };
+  } else if (_.isArray(geometry.paths)) {
+    return pathsToGeometry(geometry.paths.map(path => path.map(point => point.slice(0, 2))));
+  } else if (_.isArray(geometry.rings)) {
+    return ringsToGeometry(geometry.rings.map(ring => ring.map(point => point.slice(0, 2))));
+  }
+  return null;
+
+}
+
+// convert the content of a single shapefile record (after the 8 byte record header) to GeoJSON
+function fromShapeRecord(content) {
+  const shapeType = shapeTypes[content.readInt32LE(0)];
+
+  const readPoint = offset => [content.readDoubleLE(offset), content.readDoubleLE(offset + 8)];
+
+  if (shapeType === 'Point') {
+    return { type: 'Point', coordinates: readPoint(4) };
+
+  } else if (shapeType === 'MultiPoint') {
+    // skip the bounding box
+    const numPoints = content.readInt32LE(36);
+    return { type: 'MultiPoint', coordinates: _.range(numPoints).map(i => readPoint(40 + i * 16)) };
+
+  } else if (shapeType === 'PolyLine' || shapeType === 'Polygon') {
+    const numParts = content.readInt32LE(36);
+    const numPoints = content.readInt32LE(40);
+    const pointsOffset = 44 + numParts * 4;
+
+    // the start index of each part followed by the end of the last part
+    const partStarts = _.range(numParts).map(i => content.readInt32LE(44 + i * 4)).concat(numPoints);
+
+    const parts = _.range(numParts).map(i =>
+      _.range(partStarts[i], partStarts[i + 1]).map(j => readPoint(pointsOffset + j * 16)));
+
+    return shapeType === 'Polygon' ? ringsToGeometry(parts) : pathsToGeometry(parts);
+
+  }
+
+  // Null and MultiPatch shapes have no GeoJSON representation
+  return null;
+
+}
+
+// read the geometries of `size` records after skipping `offset` records of a
+// .shp stream, or of the records at `indexes` (in ascending order) if
+// supplied.  Records are read sequentially so the stream is only consumed
+// up to the last needed record.  callback is called with an error or the
+// list of GeoJSON geometries.
+function readShapefileGeometries(stream, options, callback) {
+  const indexes = options.indexes ? new Set(options.indexes) : undefined;
+  const last = indexes ? _.defaultTo(_.last(options.indexes), -1) + 1 : options.offset + options.size;
+
+  const geometries = [];
+
+  let buffer = Buffer.alloc(0);
+  let headerRead = false;
+  let recordIndex = 0;
+  let finished = false;
+
+  const finish = err => {
+    if (!finished) {
+      finished = true;
+      stream.removeListener('data', onData);
+      callback(err, geometries);
+    }
+  };
+
+  function onData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    if (!headerRead) {
+      if (buffer.length < 100) {
+        return;
+      }
+
+      // the file code of every shapefile is 9994
+      if (buffer.readInt32BE(0) !== 9994) {
+        return finish(new Error('Could not parse as shapefile'));
+      }
+
+      buffer = buffer.slice(100);
+      headerRead = true;
+
+    }
+
+    // each record is an 8 byte header (record number and content length in 16-bit words) and the content
+    while (recordIndex < last && buffer.length >= 8 && buffer.length >= 8 + buffer.readInt32BE(4) * 2) {
+      const contentLength = buffer.readInt32BE(4) * 2;
+
+      if (indexes ? indexes.has(recordIndex) : recordIndex >= options.offset) {
+        try {
+          geometries.push(fromShapeRecord(buffer.slice(8, 8 + contentLength)));
+        } catch (err) {
+          return finish(new Error('Could not parse as shapefile'));
+        }
+      }
+
+      buffer = buffer.slice(8 + contentLength);
+      recordIndex += 1;
+
+    }
+
+    if (recordIndex >= last) {
+      finish();
+    }
+
+  }
+
+  stream.on('data', onData);
+  stream.on('error', finish);
+  stream.on('end', () => finish());
+
+}
+
+module.exports = {
+  fromEsriGeometry,
+  fromShapeRecord,
+  readShapefileGeometries
+};
@@ -0,0 +1,105 @@
+const _ = require('lodash');
+
+// Profiles the values of each field of sampled records so reviewers can
+// judge how usable a field is: how often it's empty, how many distinct values
+// it has, how long its values are, what type they look like, and its most
+// common values.
+
+// the number of most common values reported for each field
+const topCount = 5;
+
+const integerRegexp = /^[-+]?\d+$/;
+const floatRegexp = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+// ISO 8601 dates (optionally with a time) and US-style m/d/yyyy dates
+const dateRegexps = [
+  /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[-+]\d{2}:?\d{2})?)?$/,
+  /^\d{1,2}\/\d{1,2}\/\d{4}( \d{1,2}:\d{2}(:\d{2})?( ?[AP]M)?)?$/i
+];
+
+// whether a value is missing: null, undefined, or a blank string
+function isEmpty(value) {
+  return _.isNil(value) || (_.isString(value) && _.trim(value) === '');
+}
+
+// the text of a value, nested values (such as GeoJSON properties) as JSON
+function toText(value) {
+  return _.isObject(value) ? JSON.stringify(value) : _.toString(value);
+}
+
+// the type of a single non-empty value
+function inferType(value) {
+  if (_.isNumber(value)) {
+    return Number.isInteger(value) ? 'integer' : 'float';
+  }
+
+  const text = _.trim(toText(value));
+
+  if (integerRegexp.test(text)) {
+    return 'integer';
+  } else if (floatRegexp.test(text)) {
+    return 'float';
+  } else if (dateRegexps.some(regexp => regexp.test(text)) && !isNaN(Date.parse(text.replace(/ ?[AP]M$/i, '')))) {
+    return 'date';
+  }
+  return 'text';
+
+}
+
+// the type that describes values of both types, a field is profiled as the
+// type that describes all of its values (integers and floats are floats,
+// anything else mixed is text)
+function combineTypes(a, b) {
+  if (!a || a === b) {
+    return b;
+  } else if (_.includes(['integer', 'float'], a) && _.includes(['integer', 'float'], b)) {
+    return 'float';
+  }
+  return 'text';
+
+}
+
+// profile a single field: `nulls` is the ratio of records with an empty value,
+// `distinct` the number of distinct non-empty values, `minLength` and
+// `maxLength` the lengths of the shortest and longest values, `type` one of
+// integer, float, date, or text (null when every value is empty), and `top`
+// the most common values with their counts, most common first
+function profileField(field, records) {
+  const values = records.map(record => _.get(record, [field])).filter(value => !isEmpty(value));
+
+  // count each distinct value by its text, keeping the first value seen
+  const counts = values.reduce((counted, value) => {
+    const key = toText(value);
+
+    if (!counted.has(key)) {
+      counted.set(key, { value: value, count: 0 });
+    }
+    counted.get(key).count += 1;
+
+    return counted;
+
+  }, new Map());
+
+  const lengths = values.map(value => toText(value).length);
+
+  return {
+    nulls: _.isEmpty(records) ? 0 : _.round((records.length - values.length) / records.length, 4),
+    distinct: counts.size,
+    minLength: _.defaultTo(_.min(lengths), null),
+    maxLength: _.defaultTo(_.max(lengths), null),
+    type: _.defaultTo(values.map(inferType).reduce(combineTypes, undefined), null),
+    // sortBy is stable so ties are in the order values were first seen
+    top: _.take(_.sortBy(Array.from(counts.values()), entry => -entry.count), topCount)
+  };
+
+}
+
+// profile every field of the records, returns an object keyed by field name
+function profileFields(fields, records) {
+  return _.fromPairs(fields.map(field => [field, profileField(field, records)]));
+}
+
+module.exports = {
+  inferType,
+  profileFields
+};
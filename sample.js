@@ -1,6 +1,7 @@
 const express = require('express');
 const router = require('express').Router();
 const { URL } = require('url');
+const { StringDecoder } = require('string_decoder');
 const _ = require('lodash');
 const request = require('request');
 const csvParse = require( 'csv-parse' );
@@ -10,9 +11,30 @@ const morgan = require('morgan');
 const toString = require('stream-to-string');
 const YADBF = require('yadbf');
 const JSFtp = require('jsftp');
+const ftp = require('basic-ftp');
+const ssh2 = require('ssh2');
 const yauzl = require('yauzl');
-const byline = require('byline');
 const fs = require('fs');
+const initSqlJs = require('sql.js');
+const sax = require('sax');
+const iconv = require('iconv-lite');
+const zlib = require('zlib');
+const path = require('path');
+const readline = require('readline');
+const tar = require('tar-stream');
+const yazl = require('yazl');
+const XLSX = require('xlsx');
+const { fromEsriGeometry, readShapefileGeometries } = require('./geometry');
+const crs = require('./crs');
+const conform = require('./conform');
+const coverage = require('./coverage');
+const encoding = require('./encoding');
+const dialect = require('./dialect');
+const sniff = require('./sniff');
+const sampling = require('./sampling');
+const profile = require('./profile');
+const wfs = require('./wfs');
+const fgdb = require('./fgdb');
 
 const winston = require('winston');
 const logger = winston.createLogger({
@@ -31,12 +53,126 @@ process.env['NODE_TLS_REJECT_UNAUTHORIZED'] = '0';
 // - MapServer/1/
 const arcgisRegexp = /(Map|Feature)Server\/\d+\/?$/;
 
+// matches:
+// - MapServer
+// - FeatureServer/
+const arcgisServiceRegexp = /(Map|Feature)Server\/?$/;
+
+// matches:
+// - arcgis/rest/services
+// - arcgis/rest/services/Emergency_Services/
+// but not files in the directory, such as arcgis/rest/services/addresses.csv
+const arcgisDirectoryRegexp = /\/rest\/services(\/[^/.]+)?\/?$/i;
+
+// matches layer names that are likely to contain address points
+const addressLayerNameRegexp = /addr|situs|e911|911|house|site/i;
+
+// Arcgis error codes for a missing (499) or invalid (498) token
+const arcgisTokenErrorCodes = [498, 499];
+
+// bounds on the number of services and layers inspected during ArcGIS discovery,
+// and on the number of requests made to the server at once
+const maxArcgisServices = 20;
+const maxArcgisLayers = 100;
+const maxArcgisRequests = 5;
+
+// matches:
+// - /resource/abcd-1234.json
+// - /api/views/abcd-1234/rows.csv
+const socrataRegexp = /\/(resource|api\/views)\/([a-z0-9]{4}-[a-z0-9]{4})(\.[a-z]+|\/rows\.[a-z]+)?\/?$/i;
+
+// matches:
+// - /dataset/address-points
+// - /data/dataset/address-points/
+const ckanDatasetRegexp = /^(.*)\/dataset\/([^/]+)\/?$/;
+
+// formats of CKAN resources that can be sampled, from most to least preferred
+const ckanFormats = ['geojson', 'csv', 'tsv', 'shp', 'zip', 'gpkg', 'kml', 'kmz', 'esri rest', 'wfs', 'xlsx', 'xls'];
+
+// other names CKAN portals commonly use for those formats
+const ckanFormatAliases = {
+  shapefile: 'shp',
+  'zipped shapefile': 'shp',
+  geopackage: 'gpkg',
+  'arcgis geoservices rest api': 'esri rest',
+  'ogc wfs': 'wfs'
+};
+
+// the types of file that are sampled by their own type but aren't in the
+// OpenAddresses source schema, mapped to the schema types the machine reads them as
+const conformTypes = {
+  gpkg: 'gdb',
+  kml: 'xml'
+};
+
+// GeoJSON and KML are passed to their parsers in slices of about this many
+// bytes so the bytes read when a parser stops are close to those it parsed
+const parserSliceBytes = 16;
+
+// the maximum number of archives nested within each other that are decompressed,
+// such as a .zip file containing a .tar.gz file (3 levels)
+const maxCompressionDepth = 3;
+
+// the extension given to files whose type was determined from their contents
+const fileExtensions = {
+  csv: '.csv',
+  geojson: '.geojson',
+  'geojson-ld': '.geojsonl',
+  kml: '.kml',
+  gpkg: '.gpkg',
+  shapefile: '.dbf',
+  xlsx: '.xlsx',
+  xls: '.xls',
+  zip: '.zip',
+  gzip: '.gz',
+  tar: '.tar'
+};
+
 // matches:
 // - file.csv
 // - file.TsV
 // - file.PSV
 const delimitedFileRegexp = /\.[cpt]sv$/i;
 
+// matches files with a GeoJSON feature on each line:
+// - file.geojsonl (newline-delimited GeoJSON)
+// - file.ndjson
+// - file.geojsons (an RFC 8142 GeoJSON text sequence)
+const geoJsonLinesFileRegexp = /\.(geojsonl|ndjson|geojsons)$/i;
+
+// the types of Excel workbooks, which the OpenAddresses machine can't read
+const excelTypes = ['xlsx', 'xls'];
+
+// the number of rows of a sheet used to detect whether it has a header row
+const excelHeaderRows = 20;
+
+// matches the system catalog of a File Geodatabase, which identifies a .gdb
+// directory in a .zip file:
+// - Addresses.gdb/a00000001.gdbtable
+// - export/Addresses.gdb/a00000001.gdbtable
+const gdbCatalogRegexp = /(^|\/)[^/]+\.gdb\/a00000001\.gdbtable$/i;
+
+// fields of File Geodatabase tables that aren't attributes of their rows
+const gdbNonAttributeFieldTypes = ['esriFieldTypeOID', 'esriFieldTypeGeometry', 'esriFieldTypeBlob', 'esriFieldTypeRaster'];
+
+// the number of rows of a File Geodatabase table read before yielding to other requests
+const gdbRowBatchSize = 1000;
+
+// sql.js compiles a WebAssembly module on initialization, so only do it once
+// and only when a GeoPackage is actually requested
+let sqlJs;
+function getSqlJs() {
+  if (!sqlJs) {
+    sqlJs = initSqlJs();
+  }
+  return sqlJs;
+}
+
+// quote an SQLite identifier (table or column name) for use in a statement
+function quoteIdentifier(identifier) {
+  return `"${identifier.replace(/"/g, '""')}"`;
+}
+
 // if no source parameter was supplied, bail immediately
 function preconditionsCheck(req, res, next) {
   if (!req.query.source) {
@@ -52,7 +188,7 @@ function preconditionsCheck(req, res, next) {
 function getProtocol(protocol) {
   if ('http:' === protocol || 'https:' === protocol) {
     return 'http';
-  } else if ('ftp:' === protocol) {
+  } else if ('ftp:' === protocol || 'ftps:' === protocol || 'sftp:' === protocol) {
     return 'ftp';
   }
 }
@@ -97,6 +233,42 @@ function determineType(req, res, next) {
     return;
   }
 
+  // optional number of records to profile the fields of, more records than
+  // `size` are sampled when it's larger and the results are trimmed afterwards
+  if (_.has(req.query, 'profile')) {
+    res.locals.profile = parseInt(req.query.profile);
+    if (!_.isInteger(res.locals.profile) || res.locals.profile < 0) {
+      res.status(400).type('application/json').send(generateErrorMessage(400, `Invalid profile parameter value: ${req.query.profile}`));
+      return;
+    }
+
+    res.locals.resultSize = res.locals.size;
+    res.locals.size = Math.max(res.locals.size, res.locals.profile);
+
+  }
+
+  // which records to sample, only the first `size` records are read by default
+  res.locals.mode = _.defaultTo(req.query.mode, 'head');
+  if (!_.includes(sampling.modes, res.locals.mode)) {
+    res.status(400).type('application/json').send(generateErrorMessage(400, `Invalid mode parameter value: ${req.query.mode}`));
+    return;
+  }
+
+  if (res.locals.mode !== 'head') {
+    // the other modes read every record, the sample is chosen once they have been
+    res.locals.sampler = sampling.createSampler(res.locals.mode, res.locals.size);
+  }
+
+  // opt-in to returning the GeoJSON geometry of each sampled record in source_data.geometries,
+  // geometries are always read since coverage is inferred from them
+  res.locals.geometry = req.query.geometry === 'true';
+
+  // optional name of the layer (GeoPackage feature table or WFS feature type) to sample
+  res.locals.layer = req.query.layer;
+
+  // optional name of the file to sample from a .zip file (default is the first supported file)
+  res.locals.file = req.query.file;
+
   // setup a working context
   res.locals.source = {
     coverage: {},
@@ -112,18 +284,64 @@ function determineType(req, res, next) {
   if (arcgisRegexp.test(source.pathname)) {
     res.locals.source.type = 'ESRI';
     res.locals.source.conform.type = 'geojson';
+  } else if (arcgisServiceRegexp.test(source.pathname) || arcgisDirectoryRegexp.test(source.pathname)) {
+    // not a layer, so list the layers for the user to choose one to sample
+    res.locals.source.type = 'ESRI';
+    res.locals.source.conform.type = 'geojson';
+    res.locals.arcgisDiscovery = true;
   } else if (!source.protocol) {
     logger.info(`Unable to parse URL from '${req.query.source}'`);
     res.status(400).type('application/json').send(generateErrorMessage(400, `Unable to parse URL from '${req.query.source}'`));
+  } else if (wfs.isWfsUrl(source) && getProtocol(source.protocol) === 'http') {
+    // the feature type is chosen once the capabilities of the service are known
+    res.locals.wfs = {
+      serviceUrl: wfs.getServiceUrl(source),
+      typeName: wfs.getTypeName(source)
+    };
+    res.locals.source.type = 'http';
+  } else if (socrataRegexp.test(source.pathname) && getProtocol(source.protocol) === 'http') {
+    // the OpenAddresses machine downloads Socrata datasets as .csv files, but
+    // they're sampled using the SODA API
+    res.locals.socrata = {
+      origin: source.origin,
+      id: _.toLower(source.pathname.match(socrataRegexp)[2])
+    };
+    res.locals.source.type = 'http';
+    res.locals.source.data = `${source.origin}/api/views/${res.locals.socrata.id}/rows.csv?accessType=DOWNLOAD`;
+    res.locals.source.conform.type = 'csv';
   } else if (_.endsWith(source.pathname, '.geojson')) {
     res.locals.source.type = getProtocol(source.protocol);
     res.locals.source.conform.type = 'geojson';
+  } else if (geoJsonLinesFileRegexp.test(source.pathname)) {
+    res.locals.source.type = getProtocol(source.protocol);
+    res.locals.source.conform.type = 'geojson-ld';
   } else if (isDelimitedFile(source.pathname)) {
     res.locals.source.type = getProtocol(source.protocol);
     res.locals.source.conform.type = 'csv';
-  } else if (_.endsWith(source.pathname, '.zip')) {
+  } else if (_.endsWith(source.pathname, '.gpkg')) {
+    res.locals.source.type = getProtocol(source.protocol);
+    res.locals.source.conform.type = 'gpkg';
+  } else if (_.endsWith(source.pathname, '.kml')) {
+    res.locals.source.type = getProtocol(source.protocol);
+    res.locals.source.conform.type = 'kml';
+  } else if (getExcelType(source.pathname)) {
+    res.locals.source.type = getProtocol(source.protocol);
+    res.locals.source.conform.type = getExcelType(source.pathname);
+  } else if (getCompressionType(source.pathname) === 'zip') {
+    // a .kmz file is just a .zip file containing a doc.kml file
     res.locals.source.type = getProtocol(source.protocol);
     res.locals.source.compression = 'zip';
+  } else if (ckanDatasetRegexp.test(source.pathname) && getProtocol(source.protocol) === 'http') {
+    // a CKAN dataset page, the resource to sample is chosen once the dataset is retrieved
+    const [, root, name] = source.pathname.match(ckanDatasetRegexp);
+    res.locals.ckan = {
+      apiUrl: `${source.origin}${root}/api/3/action/package_show`,
+      name: name
+    };
+    res.locals.source.type = 'http';
+  } else if (getProtocol(source.protocol)) {
+    // without a recognizable extension, the type is determined once the file is retrieved
+    res.locals.source.type = getProtocol(source.protocol);
   } else {
     res.status(400).type('application/json').send(generateErrorMessage(400, 'Unsupported type'));
   }
@@ -135,6 +353,157 @@ function determineType(req, res, next) {
 
 }
 
+// add a message about something reviewers should know about the source
+function addWarning(res, warning) {
+  if (!_.has(res.locals.source.source_data, 'warnings')) {
+    res.locals.source.source_data.warnings = [];
+  }
+  res.locals.source.source_data.warnings.push(warning);
+}
+
+// record the total number of records in the source, `exact` when they were
+// counted rather than estimated
+function setCount(res, records, exact) {
+  logger.debug(`count: ${records} (${exact ? 'exact' : 'estimated'})`);
+  res.locals.source.source_data.count = { records: records, exact: exact };
+}
+
+// record the number of records in a file once `records` records (including
+// those skipped by the offset) have been read from the `bytes` bytes after
+// its header (`res.locals.headerBytes`, if any).  The count is exact when the
+// whole file was read, otherwise it's extrapolated from the size of the file,
+// when known.  Services that are paged (rather than files) are counted separately.
+function countFileRecords(res, records, bytes, complete) {
+  if (res.locals.paged) {
+    return;
+  }
+
+  if (complete && !res.locals.truncated) {
+    setCount(res, records, true);
+  } else if (res.locals.totalBytes && bytes) {
+    const recordBytes = res.locals.totalBytes - _.defaultTo(res.locals.headerBytes, 0);
+    setCount(res, Math.max(records, Math.round(records * recordBytes / bytes)), false);
+  }
+
+}
+
+// record the coordinate system of the source and warn when it isn't WGS84
+// since sources in other projections need special handling downstream
+function setSrs(res, srs, description) {
+  res.locals.source.source_data.srs = _.defaultTo(srs, null);
+
+  if (!srs) {
+    addWarning(res, `Could not determine coordinate system from ${description}`);
+  } else if (!crs.isWgs84(srs)) {
+    addWarning(res, `Coordinate system ${srs} is not WGS84 (${crs.WGS84})`);
+  }
+
+}
+
+// record the encoding the source was transcoded from, only encodings other
+// than UTF-8 (the default) need to be written into the source
+function setEncoding(res, detected, prefix) {
+  logger.debug(`${prefix}: encoding: ${detected}`);
+
+  if (detected !== encoding.UTF8) {
+    res.locals.source.conform.encoding = detected;
+  }
+
+}
+
+// limit the number of bytes read from a file when every record is read for
+// sampling, the records read until then are sampled
+function limitSampledStream(stream, res) {
+  if (!res.locals.sampler) {
+    return stream;
+  }
+
+  return sampling.limitStream(stream, sampling.maxBytes, () => {
+    res.locals.truncated = true;
+    addWarning(res, `Only the first ${sampling.maxBytes} bytes of the file were sampled`);
+  });
+
+}
+
+// split the chunks of a file that's only read until there are enough records
+// into slices of whole characters, since parsers that stop partway through a
+// chunk would otherwise count the rest of it as read.  Every record is read
+// when sampling across the whole file, so the stream is returned as is.
+function sliceHeadStream(stream, res) {
+  if (res.locals.sampler) {
+    return stream;
+  }
+
+  const decoder = new StringDecoder('utf8');
+
+  return stream.pipe(through2(function(chunk, enc, callback) {
+    const decoded = Buffer.from(decoder.write(chunk));
+
+    for (let start = 0, end; start < decoded.length; start = end) {
+      end = Math.min(start + parserSliceBytes, decoded.length);
+
+      // UTF-8 continuation bytes belong to the character before them
+      while (end < decoded.length && (decoded[end] & 0xC0) === 0x80) {
+        end += 1;
+      }
+
+      this.push(decoded.slice(start, end));
+    }
+
+    callback();
+
+  }, function(callback) {
+    this.push(Buffer.from(decoder.end()));
+    callback();
+  }));
+
+}
+
+// write a file that can only be parsed whole (rather than streamed) to a
+// temporary file, reading no more than the byte limit.  callback is called
+// with an error message if the file is larger than the limit, else its path.
+function writeWholeFile(stream, res, callback) {
+  let tooLarge = false;
+
+  const limited = sampling.limitStream(stream, sampling.maxBytes, () => {
+    tooLarge = true;
+  });
+
+  const tmpStream = res.locals.temp.createWriteStream();
+
+  limited.pipe(tmpStream).on('close', () => {
+    logger.debug(`wrote ${tmpStream.bytesWritten} bytes to ${tmpStream.path}`);
+
+    if (tooLarge) {
+      return callback(`File is larger than ${sampling.maxBytes} bytes`);
+    }
+
+    callback(null, tmpStream.path);
+
+  });
+
+}
+
+// replace the results (and geometries) with the records chosen by the sampler,
+// the index of each sampled record is kept for reading its shapefile geometry
+function finishSampling(res) {
+  if (!res.locals.sampler) {
+    return;
+  }
+
+  const sample = res.locals.sampler.sample();
+
+  logger.debug(`sampled records ${JSON.stringify(_.map(sample, 'index'))} of ${res.locals.sampler.count()}`);
+
+  res.locals.sampledIndexes = _.map(sample, 'index');
+  res.locals.source.source_data.results = sample.map(item => item.record.attributes);
+
+  if (_.has(res.locals.source.source_data, 'geometries')) {
+    res.locals.source.source_data.geometries = sample.map(item => _.defaultTo(item.record.geometry, null));
+  }
+
+}
+
 function protocolCheck(protocol, req, res, next) {
   if (res.locals.source.type === protocol) {
     next();
@@ -153,335 +522,2736 @@ function generateErrorMessage(code, message) {
 }
 
 const isArcgisSource = protocolCheck.bind(null, 'ESRI');
+
+// ArcGIS layers are sampled while ArcGIS services and directories are discovered
+function isArcgisLayer(req, res, next) {
+  if (res.locals.arcgisDiscovery) {
+    next('route');
+  } else {
+    next();
+  }
+}
+function isArcgisDiscovery(req, res, next) {
+  if (res.locals.arcgisDiscovery) {
+    next();
+  } else {
+    next('route');
+  }
+}
 const isHttpSource = protocolCheck.bind(null, 'http');
+
+// CKAN dataset pages are resolved to one of their resources before sampling
+function isCkanDataset(req, res, next) {
+  if (res.locals.ckan) {
+    next();
+  } else {
+    next('route');
+  }
+}
+
+// Socrata datasets are sampled using the SODA API while other files are downloaded
+function isSocrataDataset(req, res, next) {
+  if (res.locals.socrata) {
+    next();
+  } else {
+    next('route');
+  }
+}
+// WFS feature types are sampled using GetFeature requests
+function isWfsService(req, res, next) {
+  if (res.locals.wfs) {
+    next();
+  } else {
+    next('route');
+  }
+}
+function isHttpFile(req, res, next) {
+  if (res.locals.socrata || res.locals.wfs || res.locals.ckan) {
+    next('route');
+  } else {
+    next();
+  }
+}
 const isFtpSource = protocolCheck.bind(null, 'ftp');
 
-// middleware that queries an Arcgis server for the first 10 records
-function sampleArcgis(req, res, next) {
-  logger.debug(`using arcgis sampler for ${res.locals.source.data}`);
+// middleware that requests the layer metadata from an Arcgis server, failures
+// are not fatal since the query will report any connection errors
+function sampleArcgisMetadata(req, res, next) {
+  const url = new URL(res.locals.source.data);
+  url.searchParams.set('f', 'json');
 
-  const url = new URL(`${res.locals.source.data}/query`);
-  url.searchParams.append('outFields', '*');
-  url.searchParams.append('where', '1=1');
-  url.searchParams.append('resultRecordCount', res.locals.size);
-  url.searchParams.append('resultOffset', res.locals.offset);
-  url.searchParams.append('f', 'json');
+  request({ uri: withArcgisToken(url, res.locals.arcgisToken), json: true }, (err, response, body) => {
+    if (err || response.statusCode !== 200 || !_.isPlainObject(body) || _.has(body, 'error')) {
+      logger.info(`ARCGIS: could not retrieve layer metadata for ${res.locals.source.data}`);
+      return next();
+    }
 
-  oboe(url.href)
-    .node('error', err => {
-      const msg = `Error connecting to Arcgis server ${res.locals.source.data}: ${err.message} (${err.code})`;
-      logger.info(`ARCGIS: ${msg}`);
-      res.status(400).type('application/json').send(generateErrorMessage(400, msg));
-    })
-    .node('fields.*.name', name => {
-      logger.debug(`ARCGIS: field name: '${name}'`);
-      res.locals.source.source_data.fields.push(name);
-    })
-    .node('features.*.attributes', feature => {
-      logger.debug(`ARCGIS: feature: ${JSON.stringify(feature)}`);
-      res.locals.source.source_data.results.push(feature);
-    })
-    .fail(err => {
-      let errorMessage = `Error connecting to Arcgis server ${res.locals.source.data}: `;
+    res.locals.arcgisMetadata = body;
+
+    // summarize what reviewers need to decide whether the layer can be scraped
+    res.locals.source.source_data.arcgis = {
+      name: body.name,
+      version: body.currentVersion,
+      geometryType: body.geometryType,
+      capabilities: _.compact(_.split(body.capabilities, ',').map(_.trim)),
+      maxRecordCount: body.maxRecordCount,
+      supportedQueryFormats: _.compact(_.split(body.supportedQueryFormats, ',').map(_.trim)),
+      // servers before 10.3 don't report advancedQueryCapabilities and don't support pagination
+      supportsPagination: _.get(body, 'advancedQueryCapabilities.supportsPagination', false),
+      fields: _.map(body.fields, field => _.pick(field, ['name', 'alias', 'type']))
+    };
+
+    logger.debug(`ARCGIS: layer: ${JSON.stringify(res.locals.source.source_data.arcgis)}`);
+
+    const spatialReference = _.defaultTo(body.sourceSpatialReference, _.get(body, 'extent.spatialReference'));
+    if (spatialReference) {
+      logger.debug(`ARCGIS: spatial reference: ${JSON.stringify(spatialReference)}`);
+      setSrs(res, crs.fromSpatialReference(spatialReference), 'layer spatialReference');
+    }
 
-      if (_.has(err, 'thrown.code')) {
-        // connection refused, etc
-        errorMessage += err.thrown.code;
-      } else if (err.thrown) {
-        // unparseable JSON (but no code)
-        errorMessage += 'Could not parse as JSON';
-      } else {
-        errorMessage += `${err.body} (${err.statusCode})`;
-      }
+    next();
 
-      logger.info(`ARCGIS: ${errorMessage}`);
+  });
 
-      res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+}
 
-    })
-    .done(() => {
-      if (!res.headersSent) {
-        // this will happen when the list of results has been processed and
-        // iteration still has no reached the 11th result, which is very unlikely
-        next();
+// the message of an Arcgis error response, explaining that a secured service
+// needs a token since servers only say that one is required
+function getArcgisErrorMessage(error) {
+  const message = `${error.message} (${error.code})`;
+
+  if (_.includes(arcgisTokenErrorCodes, error.code)) {
+    return `${message}, the service is secured so a token or a username and password are required`;
+  }
+  return message;
+
+}
+
+// add the token of a secured Arcgis server, if any, to a URL
+function withArcgisToken(url, token) {
+  const tokenUrl = new URL(url);
+
+  if (token) {
+    tokenUrl.searchParams.set('token', token);
+  }
+
+  return tokenUrl.href;
+
+}
+
+// request a URL (posting `form`, if supplied) and resolve with the parsed JSON
+// response, rejecting on connection errors, HTTP errors, and Arcgis error responses
+function getArcgisJson(url, form) {
+  return new Promise((resolve, reject) => {
+    request({ uri: url, method: form ? 'POST' : 'GET', form: form, json: true }, (err, response, body) => {
+      if (err) {
+        reject(err.code || err.message);
+      } else if (response.statusCode !== 200) {
+        reject(`${_.isString(body) ? body : ''} (${response.statusCode})`.trim());
+      } else if (!_.isPlainObject(body)) {
+        reject('Could not parse as JSON');
+      } else if (_.has(body, 'error')) {
+        reject(getArcgisErrorMessage(body.error));
+      } else {
+        resolve(body);
       }
     });
+  });
+}
 
-};
+// generate a token for a secured Arcgis server from the username and password
+// of an account, using the token service the server advertises (which may be
+// that of the Portal it's federated with)
+async function generateArcgisToken(url, username, password) {
+  // the server instance is the path before the services directory, usually /arcgis
+  const match = url.pathname.match(/^(.*)\/rest\/services(\/|$)/i);
+  const root = `${url.origin}${match ? match[1] : '/arcgis'}`;
 
-// middleware that returns up to the first 10 records of a geojson file
-function parseGeoJsonStream(stream, res, next) {
-  let prefix = res.locals.source.type;
-  if (res.locals.source.compression === 'zip') {
-    prefix += ' ZIP';
+  let tokenUrl = `${root}/tokens/generateToken`;
+
+  try {
+    const info = await getArcgisJson(`${root}/rest/info?f=json`);
+    const tokenServicesUrl = _.get(info, 'authInfo.tokenServicesUrl');
+
+    if (tokenServicesUrl) {
+      tokenUrl = /generateToken$/i.test(tokenServicesUrl) ? tokenServicesUrl : `${_.trimEnd(tokenServicesUrl, '/')}/generateToken`;
+    }
+
+  } catch (err) {
+    logger.info(`ARCGIS: could not retrieve server info for ${root}: ${err}`);
   }
-  prefix += ' GEOJSON';
 
-  const last = res.locals.offset + res.locals.size - 1;
+  logger.debug(`ARCGIS: generating token from ${tokenUrl}`);
 
-  oboe(stream)
-    .node('features.*.properties', (properties, path) => {
-      // skip nodes until we get to the first needed
-      if (path[1] < res.locals.offset) {
-        return;
-      }
+  const body = await getArcgisJson(tokenUrl, {
+    username: username,
+    password: password,
+    // the token is only used by this service for the duration of the request
+    client: 'requestip',
+    expiration: 60,
+    f: 'json'
+  });
 
-      if (_.isEmpty(res.locals.source.source_data.fields)) {
-        logger.debug(`${prefix}: fields: ${JSON.stringify(_.keys(properties))}`);
-        res.locals.source.source_data.fields = _.keys(properties);
-      }
+  if (!body.token) {
+    throw 'No token was returned';
+  }
 
-      logger.debug(`${prefix}: feature: ${JSON.stringify(properties)}`);
-      res.locals.source.source_data.results.push(properties);
+  return body.token;
 
-    })
-    .node(`features[${last}]`, function() {
-      // bail after the last result.  'done' does not get called after .abort()
-      //  so next() must be called explicitly
-      // must use full function() syntax for "this" reference
-      logger.debug(`${prefix}: found 10 results, exiting`);
-      this.abort();
-      next();
-    })
-    .fail(err => {
-      let errorMessage = `Error retrieving file ${res.locals.source.data}: `;
-      errorMessage += 'Could not parse as JSON';
-      logger.info(`${prefix}: ${errorMessage}`);
+}
+
+// middleware that authenticates with a secured Arcgis server using either a
+// token (the `token` parameter or a token in the source URL) or one generated
+// from the `username` and `password` parameters.  Tokens are removed from the
+// source URL so that they're never returned in `data`.
+async function authenticateArcgis(req, res, next) {
+  const url = new URL(res.locals.source.data);
+
+  const token = _.defaultTo(req.query.token, url.searchParams.get('token') || undefined);
+
+  url.searchParams.delete('token');
+  res.locals.source.data = url.href;
+
+  if (token) {
+    res.locals.arcgisToken = token;
+    return next();
+
+  } else if (!req.query.username || !req.query.password) {
+    return next();
+
+  }
+
+  try {
+    res.locals.arcgisToken = await generateArcgisToken(url, req.query.username, req.query.password);
+    next();
+
+  } catch (err) {
+    const errorMessage = `Error generating token for Arcgis server ${res.locals.source.data}: ${err}`;
+    logger.info(`ARCGIS: ${errorMessage}`);
+    res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+
+  }
+
+}
+
+// resolve with the results of calling the async function `fn` with each item,
+// in order, calling it for no more than `limit` items at a time
+async function mapLimit(items, limit, fn) {
+  const results = [];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  };
+
+  await Promise.all(_.range(Math.min(limit, items.length)).map(worker));
+
+  return results;
+
+}
+
+// list the layers of an Arcgis MapServer or FeatureServer with their geometry
+// type.  Group layers and tables can't be sampled so they're skipped.
+async function listArcgisServiceLayers(serviceUrl, token) {
+  const service = await getArcgisJson(withArcgisToken(`${serviceUrl}?f=json`, token));
+
+  return _.get(service, 'layers', [])
+    .filter(layer => _.isEmpty(layer.subLayerIds))
+    .map(layer => ({
+      url: `${serviceUrl}/${layer.id}`,
+      name: layer.name,
+      geometryType: layer.geometryType
+    }));
+
+}
+
+// add the feature count of each of the listed layers and flag those likely to be address points
+function countArcgisLayers(layers, token) {
+  return mapLimit(layers, maxArcgisRequests, async layer => {
+    let count;
+    try {
+      count = (await getArcgisJson(withArcgisToken(`${layer.url}/query?where=1%3D1&returnCountOnly=true&f=json`, token))).count;
+    } catch (err) {
+      logger.info(`ARCGIS: could not retrieve feature count for ${layer.url}: ${err}`);
+    }
+
+    return _.assign({}, layer, {
+      count: count,
+      likelyAddressPoints: addressLayerNameRegexp.test(layer.name) &&
+        _.includes([undefined, 'esriGeometryPoint', 'esriGeometryMultipoint'], layer.geometryType)
+    });
+
+  });
+
+}
+
+// middleware that lists the layers of an Arcgis service or services directory
+// (walking its folders and services) instead of sampling records
+async function discoverArcgisLayers(req, res, next) {
+  logger.debug(`using arcgis discovery for ${res.locals.source.data}`);
+
+  const url = new URL(res.locals.source.data);
+  url.search = '';
+  url.pathname = _.trimEnd(url.pathname, '/');
+
+  const token = res.locals.arcgisToken;
+
+  try {
+    let layers;
+
+    if (arcgisServiceRegexp.test(url.pathname)) {
+      layers = await listArcgisServiceLayers(url.href, token);
+
+    } else {
+      // services are named relative to the root of the services directory, including their folder
+      const root = url.href.replace(/\/rest\/services(\/.*)?$/i, '/rest/services');
+
+      const directory = await getArcgisJson(withArcgisToken(`${url.href}?f=json`, token));
+
+      // folders can only be one level deep, so only walk them from the root
+      const folders = await mapLimit(_.get(directory, 'folders', []), maxArcgisRequests, folder =>
+        getArcgisJson(withArcgisToken(`${root}/${folder}?f=json`, token)).catch(err => {
+          logger.info(`ARCGIS: could not retrieve folder ${folder}: ${err}`);
+          return {};
+        }));
+
+      const services = _.concat(_.get(directory, 'services', []), _.flatMap(folders, folder => _.get(folder, 'services', [])))
+        .filter(service => _.includes(['MapServer', 'FeatureServer'], service.type))
+        .slice(0, maxArcgisServices);
+
+      layers = _.flatten(await mapLimit(services, maxArcgisRequests, service =>
+        listArcgisServiceLayers(`${root}/${service.name}/${service.type}`, token).catch(err => {
+          logger.info(`ARCGIS: could not retrieve service ${service.name}: ${err}`);
+          return [];
+        })));
+
+    }
+
+    // only the layers that are listed are counted
+    layers = await countArcgisLayers(layers.slice(0, maxArcgisLayers), token);
+
+    logger.debug(`ARCGIS: layers: ${JSON.stringify(layers)}`);
+
+    res.locals.source.source_data.arcgis = {
+      layers: layers
+    };
+
+    next();
+
+  } catch (err) {
+    const errorMessage = `Error connecting to Arcgis server ${res.locals.source.data}: ${err}`;
+    logger.info(`ARCGIS: ${errorMessage}`);
+    res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+
+  }
+
+}
+
+// middleware that requests the total number of features in an Arcgis layer,
+// only servers that returned layer metadata are asked
+function countArcgisFeatures(req, res, next) {
+  if (!res.locals.arcgisMetadata) {
+    return next();
+  }
+
+  const url = new URL(`${res.locals.source.data}/query`);
+  url.searchParams.append('where', '1=1');
+  url.searchParams.append('returnCountOnly', 'true');
+  url.searchParams.append('f', 'json');
+
+  request({ uri: withArcgisToken(url, res.locals.arcgisToken), json: true }, (err, response, body) => {
+    if (!err && response.statusCode === 200 && _.isFinite(_.get(body, 'count'))) {
+      logger.debug(`ARCGIS: count: ${body.count}`);
+      res.locals.source.source_data.arcgis.count = body.count;
+      setCount(res, body.count, true);
+    } else {
+      logger.info(`ARCGIS: could not retrieve feature count for ${res.locals.source.data}`);
+    }
+
+    next();
+
+  });
+
+}
+
+// middleware that counts the non-null values of each field across the whole
+// Arcgis layer with outStatistics when profiling, only servers that support
+// statistics and returned a feature count are asked.
+function profileArcgisFields(req, res, next) {
+  const total = _.get(res.locals.source.source_data, 'arcgis.count');
+
+  if (!_.has(res.locals, 'profile') || !_.get(res.locals.arcgisMetadata, 'advancedQueryCapabilities.supportsStatistics') || !total) {
+    return next();
+  }
+
+  // geometries and binary fields can't be counted
+  const fields = _.map(_.reject(res.locals.arcgisMetadata.fields, field =>
+    _.includes(['esriFieldTypeGeometry', 'esriFieldTypeBlob', 'esriFieldTypeRaster'], field.type)), 'name');
+
+  const url = new URL(`${res.locals.source.data}/query`);
+  url.searchParams.append('where', '1=1');
+  url.searchParams.append('outStatistics', JSON.stringify(fields.map((field, i) => ({
+    statisticType: 'count',
+    onStatisticField: field,
+    outStatisticFieldName: `count_${i}`
+  }))));
+  url.searchParams.append('f', 'json');
+
+  getArcgisJson(withArcgisToken(url, res.locals.arcgisToken)).then(body => {
+    // some servers return statistic field names in upper case
+    const counts = _.mapKeys(_.get(body, 'features[0].attributes'), (value, key) => _.toLower(key));
+
+    res.locals.arcgisNulls = _.pickBy(_.zipObject(fields, fields.map((field, i) =>
+      _.isFinite(counts[`count_${i}`]) ? _.round((total - counts[`count_${i}`]) / total, 4) : undefined)), _.isFinite);
+
+    logger.debug(`ARCGIS: null ratios: ${JSON.stringify(res.locals.arcgisNulls)}`);
+
+    next();
+
+  }).catch(err => {
+    logger.info(`ARCGIS: could not retrieve field statistics for ${res.locals.source.data}: ${err}`);
+    next();
+  });
+
+}
+
+// middleware that chooses the features to sample by their object ids when
+// sampling across the whole layer, since queries can only page from the start,
+// or when the server doesn't support paging with resultOffset and resultRecordCount
+async function sampleArcgisObjectIds(req, res, next) {
+  // servers that didn't return layer metadata are assumed to support pagination
+  const supportsPagination = !res.locals.arcgisMetadata || res.locals.source.source_data.arcgis.supportsPagination;
+
+  if (!res.locals.sampler && supportsPagination) {
+    return next();
+  }
+
+  const url = new URL(`${res.locals.source.data}/query`);
+  url.searchParams.append('where', '1=1');
+  url.searchParams.append('returnIdsOnly', 'true');
+  url.searchParams.append('f', 'json');
+
+  try {
+    const body = await getArcgisJson(withArcgisToken(url, res.locals.arcgisToken));
+
+    // object ids aren't necessarily returned in order
+    const objectIds = _.sortBy(_.defaultTo(body.objectIds, [])).slice(res.locals.offset);
+
+    if (res.locals.sampler) {
+      objectIds.forEach(objectId => res.locals.sampler.add(objectId));
+      res.locals.arcgisObjectIds = _.map(res.locals.sampler.sample(), 'record');
+    } else {
+      res.locals.arcgisObjectIds = _.take(objectIds, res.locals.size);
+    }
+
+    logger.debug(`ARCGIS: sampled object ids: ${JSON.stringify(res.locals.arcgisObjectIds)}`);
+
+    next();
+
+  } catch (err) {
+    const errorMessage = `Error connecting to Arcgis server ${res.locals.source.data}: ${err}`;
+    logger.info(`ARCGIS: ${errorMessage}`);
+    res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+
+  }
+
+}
+
+// middleware that queries an Arcgis server for the first 10 records, or the
+// features chosen by their object ids when sampling across the whole layer or
+// paging a server that doesn't support pagination
+function sampleArcgis(req, res, next) {
+  logger.debug(`using arcgis sampler for ${res.locals.source.data}`);
+
+  const url = new URL(`${res.locals.source.data}/query`);
+  url.searchParams.append('outFields', '*');
+  if (res.locals.arcgisObjectIds) {
+    // an empty objectIds parameter is ignored, so a layer without features has to match nothing
+    url.searchParams.append('where', _.isEmpty(res.locals.arcgisObjectIds) ? '1=0' : '1=1');
+    url.searchParams.append('objectIds', res.locals.arcgisObjectIds.join(','));
+  } else {
+    url.searchParams.append('where', '1=1');
+    url.searchParams.append('resultRecordCount', res.locals.size);
+    url.searchParams.append('resultOffset', res.locals.offset);
+  }
+  url.searchParams.append('returnGeometry', true);
+  // request WGS84 coordinates to match GeoJSON
+  url.searchParams.append('outSR', '4326');
+  res.locals.source.source_data.geometries = [];
+  url.searchParams.append('f', 'json');
+
+  oboe(withArcgisToken(url, res.locals.arcgisToken))
+    .node('error', err => {
+      const msg = `Error connecting to Arcgis server ${res.locals.source.data}: ${getArcgisErrorMessage(err)}`;
+      logger.info(`ARCGIS: ${msg}`);
+      res.status(400).type('application/json').send(generateErrorMessage(400, msg));
+    })
+    .node('fields.*.name', name => {
+      logger.debug(`ARCGIS: field name: '${name}'`);
+      res.locals.source.source_data.fields.push(name);
+    })
+    .node('features.*', feature => {
+      if (!_.has(feature, 'attributes')) {
+        return;
+      }
+
+      logger.debug(`ARCGIS: feature: ${JSON.stringify(feature.attributes)}`);
+      res.locals.source.source_data.results.push(feature.attributes);
+      res.locals.source.source_data.geometries.push(fromEsriGeometry(feature.geometry));
+
+    })
+    .fail(err => {
+      let errorMessage = `Error connecting to Arcgis server ${res.locals.source.data}: `;
+
+      if (_.has(err, 'thrown.code')) {
+        // connection refused, etc
+        errorMessage += err.thrown.code;
+      } else if (err.thrown) {
+        // unparseable JSON (but no code)
+        errorMessage += 'Could not parse as JSON';
+      } else {
+        errorMessage += `${err.body} (${err.statusCode})`;
+      }
+
+      logger.info(`ARCGIS: ${errorMessage}`);
+
+      res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+
+    })
+    .done(() => {
+      if (!res.headersSent) {
+        // this will happen when the list of results has been processed and
+        // iteration still has no reached the 11th result, which is very unlikely
+        next();
+      }
+    });
+
+};
+
+// request a URL of the SODA API and resolve with the parsed JSON response,
+// rejecting on connection errors, HTTP errors, and Socrata error responses
+function getSocrataJson(url) {
+  return new Promise((resolve, reject) => {
+    request({ uri: url, json: true }, (err, response, body) => {
+      if (err) {
+        reject(err.code || err.message);
+      } else if (response.statusCode !== 200) {
+        reject(`${_.get(body, 'message', _.isString(body) ? body : '')} (${response.statusCode})`.trim());
+      } else if (!_.isObjectLike(body)) {
+        reject('Could not parse as JSON');
+      } else {
+        resolve(body);
+      }
+    });
+  });
+}
+
+// middleware that requests the columns of a Socrata dataset from the views
+// API, which are needed to name the fields the way the .csv file does
+async function sampleSocrataMetadata(req, res, next) {
+  const { origin, id } = res.locals.socrata;
+
+  try {
+    const view = await getSocrataJson(`${origin}/api/views/${id}.json`);
+
+    // system columns (such as :id) and hidden columns aren't in the .csv file
+    res.locals.socrata.columns = _.sortBy(_.get(view, 'columns', []), 'position')
+      .filter(column => !_.startsWith(column.fieldName, ':') && !_.includes(column.flags, 'hidden'));
+
+    res.locals.source.source_data.socrata = {
+      name: view.name,
+      columns: res.locals.socrata.columns.map(column => ({
+        name: column.name,
+        fieldName: column.fieldName,
+        type: column.dataTypeName
+      }))
+    };
+
+    logger.debug(`SOCRATA: dataset: ${JSON.stringify(res.locals.source.source_data.socrata)}`);
+
+    next();
+
+  } catch (err) {
+    const errorMessage = `Error connecting to Socrata server ${origin}: ${err}`;
+    logger.info(`SOCRATA: ${errorMessage}`);
+    res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+
+  }
+
+}
+
+// middleware that requests the number of records in a Socrata dataset
+async function countSocrataRecords(req, res, next) {
+  const { origin, id } = res.locals.socrata;
+
+  const url = new URL(`${origin}/resource/${id}.json`);
+  url.searchParams.append('$select', 'count(*)');
+
+  try {
+    // the name of the count column varies between API versions
+    const count = parseInt(_.head(_.values(_.head(await getSocrataJson(url.href)))));
+
+    if (_.isInteger(count)) {
+      setCount(res, count, true);
+    }
+
+  } catch (err) {
+    logger.info(`SOCRATA: could not retrieve record count for ${origin}/resource/${id}: ${err}`);
+  }
+
+  next();
+
+}
+
+// the value of a SODA API column as it's written to the .csv file: points as
+// WKT and legacy locations as "(lat, lon)"
+function formatSocrataValue(value) {
+  if (_.has(value, 'coordinates')) {
+    return `POINT (${value.coordinates[0]} ${value.coordinates[1]})`;
+  } else if (_.has(value, 'latitude') && _.has(value, 'longitude')) {
+    return `(${value.latitude}, ${value.longitude})`;
+  } else if (_.isNil(value)) {
+    return '';
+  }
+  return _.toString(value);
+
+}
+
+// middleware that queries the SODA API for the first 10 records of a Socrata
+// dataset, keyed by the column names used in the .csv file
+async function sampleSocrata(req, res, next) {
+  const { origin, id, columns } = res.locals.socrata;
+
+  logger.debug(`using socrata sampler for ${origin}/resource/${id}`);
+
+  const url = new URL(`${origin}/resource/${id}.json`);
+  url.searchParams.append('$limit', res.locals.size);
+  url.searchParams.append('$offset', res.locals.offset);
+  // ordering by the row identifier keeps offsets stable
+  url.searchParams.append('$order', ':id');
+
+  try {
+    const rows = await getSocrataJson(url.href);
+
+    if (!_.isArray(rows)) {
+      throw 'Could not parse as JSON';
+    }
+
+    res.locals.source.source_data.fields = columns.map(column => column.name);
+    res.locals.source.source_data.results = rows.map(row =>
+      _.fromPairs(columns.map(column => [column.name, formatSocrataValue(row[column.fieldName])])));
+
+    // the first point column is the geometry, SODA API points are GeoJSON
+    const point = _.find(columns, column => column.dataTypeName === 'point');
+
+    res.locals.source.source_data.geometries = rows.map(row =>
+      point && _.has(row, [point.fieldName, 'coordinates']) ? row[point.fieldName] : null);
+
+    next();
+
+  } catch (err) {
+    const errorMessage = `Error connecting to Socrata server ${origin}: ${err}`;
+    logger.info(`SOCRATA: ${errorMessage}`);
+    res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+
+  }
+
+}
+
+// request a URL of the CKAN action API and resolve with the result of the
+// action, rejecting on connection errors, HTTP errors, and CKAN error responses
+function getCkanJson(url) {
+  return new Promise((resolve, reject) => {
+    request({ uri: url, json: true }, (err, response, body) => {
+      if (err) {
+        reject(err.code || err.message);
+      } else if (response.statusCode !== 200) {
+        reject(`${_.get(body, 'error.message', _.isString(body) ? body : '')} (${response.statusCode})`.trim());
+      } else if (!_.get(body, 'success') || !_.isPlainObject(body.result)) {
+        reject('Could not parse as JSON');
+      } else {
+        resolve(body.result);
+      }
+    });
+  });
+}
+
+// the format of a CKAN resource as one of `ckanFormats`, falling back to
+// the extension of its URL when the portal doesn't declare one
+function getCkanFormat(resource) {
+  const format = _.toLower(_.trim(resource.format)).replace(/^\./, '') ||
+    _.toLower(path.extname(_.head(_.toString(resource.url).split('?')))).replace(/^\./, '');
+
+  return _.defaultTo(ckanFormatAliases[format], format);
+
+}
+
+// the resources of a CKAN dataset that can be sampled, those whose names
+// suggest address data first and then by format
+function rankCkanResources(resources) {
+  const ranked = resources
+    .filter(resource => resource.url && _.includes(ckanFormats, getCkanFormat(resource)))
+    .map(resource => ({
+      url: resource.url,
+      name: resource.name,
+      format: getCkanFormat(resource),
+      likelyAddresses: addressLayerNameRegexp.test(resource.name)
+    }));
+
+  // _.sortBy is stable, so resources of the same rank keep their order in the dataset
+  return _.sortBy(ranked, [resource => !resource.likelyAddresses, resource => ckanFormats.indexOf(resource.format)]);
+
+}
+
+// middleware that retrieves a CKAN dataset with the package_show action and
+// ranks its resources.  The best resource is sampled as if its URL was the
+// source when it's likely address data or the only choice, otherwise no
+// records are sampled and the user chooses from the ranked resources.
+async function resolveCkanDataset(req, res, next) {
+  const url = new URL(res.locals.ckan.apiUrl);
+  url.searchParams.append('id', res.locals.ckan.name);
+
+  let dataset;
+
+  try {
+    dataset = await getCkanJson(url.href);
+  } catch (err) {
+    const errorMessage = `Error connecting to CKAN server ${url.origin}: ${err}`;
+    logger.info(`CKAN: ${errorMessage}`);
+    res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+    return;
+  }
+
+  const ckan = {
+    name: dataset.name,
+    title: dataset.title,
+    resources: rankCkanResources(_.get(dataset, 'resources', []))
+  };
+
+  logger.debug(`CKAN: dataset: ${JSON.stringify(ckan)}`);
+
+  res.locals.source.source_data.ckan = ckan;
+
+  const best = _.head(ckan.resources);
+
+  if (!best) {
+    const errorMessage = `CKAN dataset ${dataset.name} has no resources in a supported format`;
+    logger.info(`CKAN: ${errorMessage}`);
+    res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+  } else if (ckan.resources.length > 1 && !best.likelyAddresses) {
+    // leave it to the user to choose
+    next();
+  } else {
+    logger.debug(`CKAN: sampling resource ${best.url}`);
+
+    req.query.source = best.url;
+    res.locals.ckan = undefined;
+
+    determineType(req, res, () => {
+      res.locals.source.source_data.ckan = ckan;
+      next();
+    });
+
+  }
+
+}
+
+// middleware that requests the capabilities of a WFS service to list its
+// feature types and choose the one to sample: the one named by the typeName
+// parameter of the URL or the `layer` parameter, otherwise the first
+function sampleWfsCapabilities(req, res, next) {
+  const url = wfs.getCapabilitiesUrl(res.locals.wfs.serviceUrl);
+
+  const fail = message => {
+    const errorMessage = `Error connecting to WFS server ${res.locals.wfs.serviceUrl.href}: ${message}`;
+    logger.info(`WFS: ${errorMessage}`);
+    res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+  };
+
+  request(url.href, (err, response, body) => {
+    if (err) {
+      return fail(err.code || err.message);
+    } else if (response.statusCode !== 200) {
+      return fail(`(${response.statusCode})`);
+    }
+
+    let capabilities;
+    try {
+      capabilities = wfs.parseCapabilities(body);
+    } catch (parseErr) {
+      // sax errors include the line and column on separate lines
+      return fail(_.head(parseErr.message.split('\n')));
+    }
+
+    logger.debug(`WFS: capabilities: ${JSON.stringify(capabilities)}`);
+
+    const typeName = _.defaultTo(res.locals.wfs.typeName, res.locals.layer);
+
+    // feature types are usually namespace-prefixed, such as ad:Address
+    const featureType = typeName ?
+      _.find(capabilities.featureTypes, type => type.name === typeName || _.last(_.split(type.name, ':')) === typeName) :
+      _.head(capabilities.featureTypes);
+
+    if (!featureType) {
+      return fail(typeName ? `Feature type '${typeName}' not found` : 'No feature types found');
+    }
+
+    res.locals.wfs.capabilities = capabilities;
+    res.locals.wfs.typeName = featureType.name;
+
+    res.locals.source.source_data.layers = capabilities.featureTypes.map(type => type.name);
+    res.locals.source.source_data.wfs = {
+      version: capabilities.version,
+      featureTypes: capabilities.featureTypes.map(type => _.pick(type, ['name', 'title', 'srs']))
+    };
+
+    // the OpenAddresses machine downloads all the features with a single GetFeature request
+    res.locals.source.data = wfs.getFeatureUrl(res.locals.wfs.serviceUrl, capabilities, featureType.name).href;
+
+    if (wfs.getGeoJsonFormat(capabilities)) {
+      res.locals.source.conform.type = 'geojson';
+    } else {
+      // GML is read by the OpenAddresses machine as xml, in the default coordinate system of the feature type
+      res.locals.source.conform.type = 'xml';
+      setSrs(res, crs.fromOgcName(featureType.srs), 'WFS feature type');
+    }
+
+    next();
+
+  });
+
+}
+
+// middleware that requests the number of features of the chosen feature type
+// of a WFS service
+function countWfsFeatures(req, res, next) {
+  const { serviceUrl, capabilities, typeName } = res.locals.wfs;
+
+  const url = wfs.getHitsUrl(serviceUrl, capabilities, typeName);
+
+  if (!url) {
+    return next();
+  }
+
+  request(url.href, (err, response, body) => {
+    let count;
+
+    try {
+      count = !err && response.statusCode === 200 ? wfs.parseHits(body) : undefined;
+    } catch (parseErr) {
+      // the number of features just isn't reported
+    }
+
+    if (_.isInteger(count)) {
+      setCount(res, count, true);
+    } else {
+      logger.info(`WFS: could not retrieve feature count for ${typeName}`);
+    }
+
+    next();
+
+  });
+
+}
+
+// middleware that requests the first 10 features of the chosen feature type of
+// a WFS service in GeoJSON (when supported) or GML
+function sampleWfs(req, res, next) {
+  const { serviceUrl, capabilities, typeName } = res.locals.wfs;
+
+  const url = wfs.getFeatureUrl(serviceUrl, capabilities, typeName, { size: res.locals.size, offset: res.locals.offset });
+
+  logger.debug(`using wfs sampler for ${url.href}`);
+
+  if (url.searchParams.has('startIndex')) {
+    // the server skips to the offset itself
+    res.locals.offset = 0;
+  }
+
+  // only a page of features is returned, so they can't be counted from the response
+  res.locals.paged = true;
+
+  const r = request(url.href);
+
+  r.on('error', err => {
+    const errorMessage = `Error connecting to WFS server ${serviceUrl.href}: ${err.code}`;
+    logger.info(`WFS: ${errorMessage}`);
+    res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+  });
+
+  r.on('response', response => {
+    if (response.statusCode !== 200) {
+      const errorMessage = `Error connecting to WFS server ${serviceUrl.href}: (${response.statusCode})`;
+      logger.info(`WFS: ${errorMessage}`);
+      res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+      r.abort();
+    } else if (res.locals.source.conform.type === 'geojson') {
+      parseGeoJsonStream(r, res, next);
+    } else {
+      parseGmlStream(r, res, next);
+    }
+
+  });
+
+}
+
+// middleware that returns up to the first 10 records of a geojson file
+function parseGeoJsonStream(stream, res, next) {
+  let prefix = res.locals.source.type;
+  if (res.locals.source.compression === 'zip') {
+    prefix += ' ZIP';
+  }
+  prefix += ' GEOJSON';
+
+  const last = res.locals.offset + res.locals.size - 1;
+
+  res.locals.source.source_data.geometries = [];
+
+  // the features and bytes read so far, for counting the features in the file
+  let records = 0;
+  let bytes = 0;
+
+  const sliced = sliceHeadStream(limitSampledStream(stream, res), res);
+
+  sliced.on('data', chunk => {
+    bytes += chunk.length;
+  });
+
+  oboe(sliced)
+    .node('!.crs', geojsonCrs => {
+      logger.debug(`${prefix}: crs: ${JSON.stringify(geojsonCrs)}`);
+      setSrs(res, crs.fromGeoJsonCrs(geojsonCrs), 'GeoJSON crs');
+    })
+    .node('features.*', (feature, path) => {
+      records = path[1] + 1;
+
+      // every feature is read when sampling across the whole file, so drop each
+      // one from the parsed document once it's been read to bound memory use
+      const read = res.locals.sampler ? oboe.drop : undefined;
+
+      // skip nodes until we get to the first needed
+      if (path[1] < res.locals.offset || !_.has(feature, 'properties')) {
+        return read;
+      }
+
+      const properties = feature.properties;
+
+      if (_.isEmpty(res.locals.source.source_data.fields)) {
+        logger.debug(`${prefix}: fields: ${JSON.stringify(_.keys(properties))}`);
+        res.locals.source.source_data.fields = _.keys(properties);
+      }
+
+      if (res.locals.sampler) {
+        res.locals.sampler.add({ attributes: properties, geometry: feature.geometry });
+        return read;
+      }
+
+      res.locals.source.source_data.geometries.push(_.defaultTo(feature.geometry, null));
+
+      logger.debug(`${prefix}: feature: ${JSON.stringify(properties)}`);
+      res.locals.source.source_data.results.push(properties);
+
+    })
+    .node(`features[${last}]`, function() {
+      // every feature is read when sampling across the whole file
+      if (res.locals.sampler) {
+        return;
+      }
+
+      // bail after the last result.  'done' does not get called after .abort()
+      //  so next() must be called explicitly
+      // must use full function() syntax for "this" reference
+      logger.debug(`${prefix}: found 10 results, exiting`);
+      this.abort();
+      // this is called before the last feature has been counted by the callback above
+      countFileRecords(res, last + 1, bytes, false);
+      next();
+    })
+    .fail(err => {
+      if (res.locals.truncated) {
+        // the file was cut off at the byte limit, so sample the features read until then
+        countFileRecords(res, records, bytes, false);
+        finishSampling(res);
+        return next();
+      }
+
+      let errorMessage = `Error retrieving file ${res.locals.source.data}: `;
+      errorMessage += 'Could not parse as JSON';
+      logger.info(`${prefix}: ${errorMessage}`);
+
+      res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+
+    })
+    .done(() => {
+      if (!res.headersSent) {
+        // this will happen when the list of results has been processed and
+        // iteration still has no reached the 11th result, which is very unlikely
+        countFileRecords(res, records, bytes, true);
+        finishSampling(res);
+        next();
+      }
+    });
+
+}
+
+// middleware that returns up to the first 10 records of a newline-delimited
+// GeoJSON file or GeoJSON text sequence, which have a feature on each line so
+// reading stops as soon as enough lines have been read
+function parseGeoJsonLinesStream(stream, res, next) {
+  let prefix = res.locals.source.type;
+  if (res.locals.source.compression === 'zip') {
+    prefix += ' ZIP';
+  }
+  prefix += ' GEOJSON-LD';
+
+  const last = res.locals.offset + res.locals.size - 1;
+
+  res.locals.source.source_data.geometries = [];
+
+  // the features and bytes read so far, for counting the features in the file
+  let records = 0;
+  let bytes = 0;
+
+  // whether a response has been sent or next() has been called
+  let finished = false;
+
+  const lines = readline.createInterface({ input: limitSampledStream(stream, res), crlfDelay: Infinity });
+
+  // stop reading lines, the input is paused so nothing more is downloaded
+  const stop = () => {
+    finished = true;
+    lines.close();
+  };
+
+  lines.on('line', line => {
+    if (finished) {
+      return;
+    }
+
+    bytes += Buffer.byteLength(line) + 1;
+
+    // features of a text sequence are preceded by a record separator, blank lines are skipped
+    const text = _.trim(line.replace(/^\ufeff/, '').replace(/^\x1e/, ''));
+
+    if (!text) {
+      return;
+    }
+
+    let feature;
+
+    try {
+      feature = JSON.parse(text);
+    } catch (err) {
+      // the last line of a file cut off at the byte limit is incomplete
+      if (res.locals.truncated) {
+        return;
+      }
+
+      const errorMessage = `Error retrieving file ${res.locals.source.data}: Could not parse line ${records + 1} as JSON`;
+      logger.info(`${prefix}: ${errorMessage}`);
+      res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+      return stop();
+    }
+
+    const index = records;
+    records += 1;
+
+    // skip lines until we get to the first needed
+    if (index >= res.locals.offset && _.has(feature, 'properties')) {
+      const properties = feature.properties;
+
+      if (_.isEmpty(res.locals.source.source_data.fields)) {
+        logger.debug(`${prefix}: fields: ${JSON.stringify(_.keys(properties))}`);
+        res.locals.source.source_data.fields = _.keys(properties);
+      }
+
+      if (res.locals.sampler) {
+        res.locals.sampler.add({ attributes: properties, geometry: feature.geometry });
+        return;
+      }
+
+      res.locals.source.source_data.geometries.push(_.defaultTo(feature.geometry, null));
+
+      logger.debug(`${prefix}: feature: ${JSON.stringify(properties)}`);
+      res.locals.source.source_data.results.push(properties);
+
+    }
+
+    // bail after the last result, every feature is read when sampling across the whole file
+    if (index === last && !res.locals.sampler) {
+      logger.debug(`${prefix}: found ${res.locals.size} results, exiting`);
+      stop();
+      countFileRecords(res, records, bytes, false);
+      next();
+    }
+
+  });
+
+  // the whole file has been read
+  lines.on('close', () => {
+    if (!finished) {
+      finished = true;
+      countFileRecords(res, records, bytes, true);
+      finishSampling(res);
+      next();
+    }
+  });
+
+}
+
+// call back with the first chunk of a stream once it's been put back, along
+// with the stream to read from the start.  A stream without data has already
+// ended, so an empty Buffer and an empty stream that ends once read are passed
+// instead, otherwise parsers would wait forever for an 'end' that's been emitted.
+function peekStream(stream, callback) {
+  const onEnd = () => {
+    const empty = through2();
+    empty.pause();
+    empty.end();
+    callback(Buffer.alloc(0), empty);
+  };
+
+  stream.once('end', onEnd);
+  stream.once('data', chunk => {
+    stream.removeListener('end', onEnd);
+    stream.pause();
+    stream.unshift(chunk);
+    callback(chunk, stream);
+  });
+
+}
+
+// middleware that returns up to the first 10 records of a csv file
+function parseCsvStream(stream, res, next) {
+  let prefix = res.locals.source.type;
+  if (res.locals.source.compression === 'zip') {
+    prefix += ' ZIP';
+  }
+  prefix += ' CSV';
+
+  const limited = limitSampledStream(stream, res);
+
+  peekStream(limited, (sample, peeked) => {
+    const detected = encoding.detect(sample, res.locals.declaredEncoding);
+    setEncoding(res, detected, prefix);
+
+    // the decoded stream is UTF-8 with any byte order mark removed
+    parseDecodedCsvStream(peeked.pipe(iconv.decodeStream(detected)), res, next, prefix);
+
+  });
+
+}
+
+// parse a UTF-8 csv stream, called by parseCsvStream once the encoding has been detected
+function parseDecodedCsvStream(stream, res, next, prefix) {
+  let sample = '';
+
+  // sniff the dialect from the sample then parse the records, `remaining` is
+  // the rest of the stream or undefined when the sample is all there is
+  const parseSample = remaining => {
+    const sniffed = dialect.sniff(sample);
+
+    logger.debug(`${prefix}: dialect for ${res.locals.source.data}: ${JSON.stringify(_.omit(sniffed, 'fields'))}`);
+
+    res.locals.source.conform.csvsplit = sniffed.delimiter;
+
+    let rest = sample;
+
+    // the bytes and records read so far, for counting the records in the file
+    let bytes = 0;
+    let records = res.locals.offset;
+
+    if (sniffed.header) {
+      res.locals.headerBytes = Buffer.byteLength(sample.substr(0, sniffed.headerLength));
+      res.locals.source.source_data.fields = sniffed.fields;
+      rest = sample.substr(sniffed.headerLength);
+    } else {
+      // without a header, fields are numbered the same way the OpenAddresses machine does
+      res.locals.source.source_data.fields = sniffed.fields.map((field, i) => `COLUMN${i + 1}`);
+      res.locals.source.conform.headers = -1;
+    }
+
+    logger.debug(`${prefix}: fields: ${res.locals.source.source_data.fields}`);
+
+    if (sniffed.quote !== '"') {
+      addWarning(res, `Fields are quoted with ${sniffed.quote}, which the OpenAddresses machine does not support`);
+    }
+
+    // put everything else but the header back on the stream, if the whole
+    // stream was sampled then parse what's left of the sample on its own
+    let source = remaining;
+
+    if (remaining) {
+      remaining.unshift(Buffer.from(rest));
+    } else {
+      source = through2();
+      source.end(rest);
+    }
+
+    const parser = csvParse({
+      // DO NOT USE `from` and `to` to limit records since it downloads the entire
+      // file whereas this way simply stops the download after 10 records
+      delimiter: sniffed.delimiter,
+      quote: sniffed.quote,
+      escape: sniffed.quote,
+      rowDelimiter: sniffed.lineEnding,
+      skip_empty_lines: true,
+      columns: res.locals.source.source_data.fields,
+      from: res.locals.offset+1,
+      // the raw text of each record (including any skipped before it) is needed to count the bytes read
+      raw: true
+    });
+
+    // otherwise everything was fine so pipe the response to CSV and collect records
+    source.pipe(parser)
+    .on('error', err => {
+      if (res.locals.truncated) {
+        // the last record was cut off at the byte limit, so sample the records read until then
+        countFileRecords(res, records, bytes, false);
+        finishSampling(res);
+        return next();
+      }
+
+      const errorMessage = `Error parsing file from ${res.locals.source.data} as CSV: ${err}`;
+      logger.info(`${prefix}: ${errorMessage}`);
+      res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+    })
+    .pipe(through2.obj(function({ raw, row: record }, enc, callback) {
+      bytes += Buffer.byteLength(raw);
+      records += 1;
+
+      if (res.locals.sampler) {
+        res.locals.sampler.add({ attributes: record });
+        callback();
+
+      } else if (res.locals.source.source_data.results.length < res.locals.size) {
+        logger.debug(`${prefix}: record: ${JSON.stringify(record)}`);
+        res.locals.source.source_data.results.push(record);
+
+        callback();
+
+      } else {
+        // there are enough records so end the stream prematurely, handle in 'close' event
+        logger.debug(`${prefix}: found ${res.locals.size} results, exiting`);
+        this.destroy();
+      }
+
+    }))
+    .on('close', () => {
+      logger.debug(`${prefix}: stream ended prematurely`);
+      countFileRecords(res, records, bytes, false);
+      next();
+    })
+    .on('finish', () => {
+      logger.debug(`${prefix}: stream ended normally`);
+      countFileRecords(res, parser.count, bytes, true);
+      finishSampling(res);
+      next();
+    });
+
+  };
+
+  // the dialect is sniffed once there's a complete first record (or the stream has ended)
+  const onData = data => {
+    sample += data.toString();
+
+    if (dialect.hasCompleteRecord(sample)) {
+      stream.removeListener('data', onData);
+      stream.removeListener('end', onEnd);
+
+      // pause the stream so nothing is lost before it's piped to the CSV parser
+      stream.pause();
+      parseSample(stream);
+    }
+
+  };
+
+  const onEnd = () => {
+    stream.removeListener('data', onData);
+    parseSample();
+  };
+
+  stream.on('data', onData);
+  stream.once('end', onEnd);
+
+}
+
+// middleware that returns up to the first 10 records of a kml file
+function parseKmlStream(stream, res, next) {
+  let prefix = res.locals.source.type;
+  if (res.locals.source.compression === 'zip') {
+    prefix += ' ZIP';
+  }
+  prefix += ' KML';
+
+  const last = res.locals.offset + res.locals.size - 1;
+
+  const parser = sax.createStream(true, { trim: true });
+
+  // index of the current Placemark and its attributes, if currently in one
+  let index = -1;
+  let placemark;
+
+  // name of the ExtendedData attribute currently being read, if any, and its text
+  let attributeName;
+  let text;
+
+  // name of the innermost open element, text is only captured directly in SimpleData or value
+  let currentElement;
+
+  // whether enough placemarks have been found or an error occurred
+  let finished = false;
+
+  // KML elements may be namespace-prefixed, such as kml:Placemark
+  const localName = name => _.last(name.split(':'));
+
+  // the bytes read so far, for counting the placemarks in the file
+  let bytes = 0;
+
+  // count the placemarks in the file from those read so far
+  const countPlacemarks = complete => countFileRecords(res, index + 1, bytes, complete);
+
+  // stop parsing the rest of the file, aborting the download when possible
+  const stopParsing = () => {
+    finished = true;
+
+    if (_.isFunction(stream.abort)) {
+      stream.abort();
+    } else if (_.isFunction(stream.unpipe)) {
+      stream.unpipe(parser);
+    }
+
+  };
+
+  parser.on('opentag', node => {
+    if (finished) {
+      return;
+    }
+
+    const name = localName(node.name);
+    currentElement = name;
+
+    if (name === 'Placemark') {
+      index += 1;
+      placemark = {};
+    }
+    else if (placemark && (name === 'SimpleData' || name === 'Data')) {
+      // <SimpleData name="x">value</SimpleData> or <Data name="x"><value>value</value></Data>
+      attributeName = node.attributes.name;
+      text = '';
+    }
+
+  });
+
+  const appendText = value => {
+    if (!_.isUndefined(attributeName) && (currentElement === 'SimpleData' || currentElement === 'value')) {
+      text += value;
+    }
+  };
+
+  parser.on('text', appendText);
+  parser.on('cdata', appendText);
+
+  parser.on('closetag', tagName => {
+    if (finished) {
+      return;
+    }
+
+    const name = localName(tagName);
+    currentElement = undefined;
+
+    if (placemark && (name === 'SimpleData' || name === 'Data')) {
+      placemark[attributeName] = text;
+      attributeName = undefined;
+    }
+    else if (name === 'Placemark') {
+      // skip placemarks until we get to the first needed
+      if (index >= res.locals.offset) {
+        if (_.isEmpty(res.locals.source.source_data.fields)) {
+          logger.debug(`${prefix}: fields: ${JSON.stringify(_.keys(placemark))}`);
+          res.locals.source.source_data.fields = _.keys(placemark);
+        }
+
+        if (res.locals.sampler) {
+          res.locals.sampler.add({ attributes: placemark });
+        } else {
+          logger.debug(`${prefix}: placemark: ${JSON.stringify(placemark)}`);
+          res.locals.source.source_data.results.push(placemark);
+        }
+
+      }
+
+      placemark = undefined;
+
+      if (index === last && !res.locals.sampler) {
+        // bail after the last result, stop reading so the rest of the file isn't downloaded
+        logger.debug(`${prefix}: found ${res.locals.size} results, exiting`);
+        stopParsing();
+        countPlacemarks(false);
+        next();
+      }
+
+    }
+
+  });
+
+  parser.on('error', err => {
+    if (!finished && res.locals.truncated) {
+      // the file was cut off at the byte limit, so sample the placemarks read until then
+      stopParsing();
+      countPlacemarks(false);
+      finishSampling(res);
+      next();
+    } else if (!finished) {
+      const errorMessage = `Error parsing file from ${res.locals.source.data}: Could not parse as KML`;
+      logger.info(`${prefix}: ${errorMessage}`);
+      res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+
+      stopParsing();
+    }
+
+  });
+
+  parser.on('end', () => {
+    if (!finished && !res.headersSent) {
+      // this will happen when the list of placemarks has been processed and
+      // iteration still has not reached the last needed result
+      countPlacemarks(true);
+      finishSampling(res);
+      next();
+    }
+  });
+
+  sliceHeadStream(limitSampledStream(stream, res), res)
+    .on('data', chunk => {
+      bytes += chunk.length;
+    })
+    .pipe(parser);
+
+}
+
+// middleware that returns up to the first 10 features of a GML response to a
+// WFS GetFeature request.  Properties containing elements (geometries) are skipped.
+function parseGmlStream(stream, res, next) {
+  const prefix = `${res.locals.source.type} GML`;
+
+  const last = res.locals.offset + res.locals.size - 1;
+
+  const parser = sax.createStream(true, { trim: true });
+
+  // depth of the open elements
+  let depth = 0;
+
+  // depth of the current featureMember (or member or featureMembers) element, if in one
+  let memberDepth;
+
+  // index of the current feature, its depth, and its properties, if currently in one
+  let index = -1;
+  let featureDepth;
+  let feature;
+
+  // name of the property currently being read, if any, its text, and whether it contains elements
+  let propertyName;
+  let text;
+  let hasElements;
+
+  // the messages of an exception report returned instead of features
+  const exceptions = [];
+
+  let finished = false;
+
+  const localName = name => _.last(name.split(':'));
+
+  // stop parsing the rest of the response, aborting the download
+  const stopParsing = () => {
+    finished = true;
+    stream.abort();
+  };
+
+  parser.on('opentag', node => {
+    const name = localName(node.name);
+
+    if (_.includes(['featureMember', 'featureMembers', 'member'], name) && !feature) {
+      memberDepth = depth;
+    }
+    else if (!_.isUndefined(memberDepth) && !feature && depth === memberDepth + 1) {
+      index += 1;
+      featureDepth = depth;
+      feature = {};
+    }
+    else if (feature && depth === featureDepth + 1) {
+      // GML properties such as gml:boundedBy describe the feature rather than being attributes
+      propertyName = _.startsWith(node.name, 'gml:') ? undefined : name;
+      text = '';
+      hasElements = false;
+    }
+    else if (feature) {
+      hasElements = true;
+    }
+
+    if (name === 'ExceptionText' || name === 'ServiceException') {
+      text = '';
+    }
+
+    depth += 1;
+
+  });
+
+  const appendText = value => {
+    text += value;
+  };
+
+  parser.on('text', appendText);
+  parser.on('cdata', appendText);
+
+  parser.on('closetag', tagName => {
+    depth -= 1;
+
+    if (finished) {
+      return;
+    }
+
+    if (localName(tagName) === 'ExceptionText' || localName(tagName) === 'ServiceException') {
+      exceptions.push(text);
+    }
+    else if (feature && depth === featureDepth + 1 && propertyName) {
+      if (!hasElements) {
+        feature[propertyName] = text;
+      }
+      propertyName = undefined;
+    }
+    else if (feature && depth === featureDepth) {
+      // skip features until we get to the first needed
+      if (index >= res.locals.offset) {
+        res.locals.source.source_data.fields = _.union(res.locals.source.source_data.fields, _.keys(feature));
+
+        logger.debug(`${prefix}: feature: ${JSON.stringify(feature)}`);
+        res.locals.source.source_data.results.push(feature);
+
+      }
+
+      feature = undefined;
+
+      if (index === last) {
+        // bail after the last result, stop reading so the rest of the response isn't downloaded
+        logger.debug(`${prefix}: found ${res.locals.size} results, exiting`);
+        stopParsing();
+        next();
+      }
+
+    }
+    else if (depth === memberDepth) {
+      memberDepth = undefined;
+    }
+
+  });
+
+  parser.on('error', err => {
+    if (!finished) {
+      const errorMessage = `Error retrieving file ${res.locals.source.data}: Could not parse as GML`;
+      logger.info(`${prefix}: ${errorMessage}`);
+      res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+
+      stopParsing();
+    }
+
+  });
+
+  parser.on('end', () => {
+    if (finished || res.headersSent) {
+      return;
+    }
+
+    if (!_.isEmpty(exceptions)) {
+      const errorMessage = `Error retrieving file ${res.locals.source.data}: ${exceptions.join(', ')}`;
+      logger.info(`${prefix}: ${errorMessage}`);
+      res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+      return;
+    }
+
+    // this will happen when the features have been processed and
+    // iteration still has not reached the last needed result
+    next();
+
+  });
+
+  stream.pipe(parser);
+
+}
+
+// middleware that returns up to the first 10 records of a dbf file
+function parseDbfStream(stream, res, next) {
+  let prefix = res.locals.source.type;
+  if (res.locals.source.compression === 'zip') {
+    prefix += ' ZIP';
+  }
+  prefix += ' DBF';
+
+  res.locals.source.source_data.results = [];
+
+  // every record after the offset is read when sampling across the whole file
+  const options = {
+    offset: res.locals.offset,
+    size: res.locals.sampler ? undefined : res.locals.size
+  };
+
+  const limited = limitSampledStream(stream, res);
+
+  peekStream(limited, (sample, peeked) => {
+    // a .cpg file takes precedence over the language driver ID in the header
+    const declared = _.defaultTo(res.locals.declaredEncoding,
+      sample.length > 29 ? encoding.fromLanguageDriver(sample[29]) : undefined);
+
+    // only guess from the records since field names are always ASCII
+    options.encoding = encoding.detect(sample.slice(sample.length >= 10 ? sample.readUInt16LE(8) : 0), declared);
+    setEncoding(res, options.encoding, prefix);
+
+    // pipe the dbf contents from the .zip file to a stream
+    peeked
+      .pipe(new YADBF(options))
+      .on('error', err => {
+        if (res.locals.truncated) {
+          // the file was cut off at the byte limit, so sample the records read until then
+          finishSampling(res);
+          return next();
+        }
+
+        let errorMessage = `Error parsing file from ${res.locals.source.data}: `;
+        errorMessage += 'Could not parse as shapefile';
+        logger.info(`${prefix}: ${errorMessage}`);
+
+        res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+
+      })
+      .on('header', header => {
+        // there's a header so pull the field names from it
+        res.locals.source.source_data.fields = header.fields.map(f => f.name);
+
+        logger.debug(`${prefix}: fields: ${JSON.stringify(res.locals.source.source_data.fields)}`);
+
+        // the header records how many records follow it
+        setCount(res, header.numberOfRecords, true);
+
+      })
+      .on('data', record => {
+        // find all the non-@ attributes
+        const attributes = _.pickBy(record, (value, key) => !_.startsWith(key, '@'));
+
+        if (res.locals.sampler) {
+          res.locals.sampler.add({ attributes: attributes });
+          return;
+        }
+
+        logger.debug(`${prefix}: attributes: ${JSON.stringify(attributes)}`);
+
+        res.locals.source.source_data.results.push(attributes);
+
+      })
+      .on('end', () => {
+        // ran out of records before 10, so call next()
+        if (!res.headersSent) {
+          finishSampling(res);
+          return next();
+        }
+      });
+
+  });
+
+}
+
+// middleware that returns up to the first 10 records of a feature table in a GeoPackage
+function parseGeoPackageStream(stream, res, next) {
+  let prefix = res.locals.source.type;
+  if (res.locals.source.compression === 'zip') {
+    prefix += ' ZIP';
+  }
+  prefix += ' GPKG';
+
+  const sendError = errorMessage => {
+    logger.info(`${prefix}: ${errorMessage}`);
+    res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+  };
+
+  // a GeoPackage is an SQLite database, which requires random access,
+  // so write the stream to a temporary file and read it back in
+  writeWholeFile(stream, res, (err, gpkgPath) => {
+    if (err) {
+      return sendError(`Error parsing file from ${res.locals.source.data}: ${err}`);
+    }
+
+    // the reason the GeoPackage couldn't be sampled is returned, if any, and
+    // next is called outside of the promise so errors in later middleware
+    // aren't reported as errors parsing the GeoPackage
+    getSqlJs().then(SQL => {
+      let db;
+
+      try {
+        db = new SQL.Database(fs.readFileSync(gpkgPath));
+
+        // gpkg_contents is the GeoPackage registry of all tables, only feature tables are of interest
+        const tables = _.flatten(_.get(db.exec(
+          'SELECT table_name FROM gpkg_contents WHERE data_type = \'features\''), '[0].values', []));
+
+        logger.debug(`${prefix}: feature tables: ${JSON.stringify(tables)}`);
+        res.locals.source.source_data.layers = tables;
+
+        if (_.isEmpty(tables)) {
+          return 'No feature tables found in GeoPackage';
+        }
+
+        const table = _.defaultTo(res.locals.layer, tables[0]);
+
+        if (!_.includes(tables, table)) {
+          return `Feature table '${table}' not found in GeoPackage`;
+        }
+
+        res.locals.source.conform.layer = table;
+
+        // geometry columns are stored as binary blobs, so omit them from the attributes
+        const geometryColumns = _.flatten(_.get(db.exec(
+          'SELECT column_name FROM gpkg_geometry_columns WHERE table_name = ?', [table]), '[0].values', []));
+
+        // the integer primary key is treated as the feature id rather than an attribute
+        const fields = _.get(db.exec(`PRAGMA table_info(${quoteIdentifier(table)})`), '[0].values', [])
+          .filter(([, name, type, , , pk]) => !_.includes(geometryColumns, name) && !(pk && /^integer$/i.test(type)))
+          .map(([, name]) => name);
+
+        res.locals.source.source_data.fields = fields;
+        logger.debug(`${prefix}: fields: ${JSON.stringify(fields)}`);
+
+        setCount(res, db.exec(`SELECT COUNT(*) FROM ${quoteIdentifier(table)}`)[0].values[0][0], true);
+
+        if (!_.isEmpty(fields)) {
+          // a negative limit reads every row after the offset when sampling across the whole table
+          const statement = db.prepare(
+            `SELECT ${fields.map(quoteIdentifier).join(', ')} FROM ${quoteIdentifier(table)} LIMIT ? OFFSET ?`,
+            [res.locals.sampler ? -1 : res.locals.size, res.locals.offset]);
+
+          while (statement.step()) {
+            const record = statement.getAsObject();
+
+            if (res.locals.sampler) {
+              res.locals.sampler.add({ attributes: record });
+            } else {
+              logger.debug(`${prefix}: record: ${JSON.stringify(record)}`);
+              res.locals.source.source_data.results.push(record);
+            }
+
+          }
+
+          statement.free();
+          finishSampling(res);
+
+        }
+
+      } catch (err) {
+        return 'Could not parse as GeoPackage';
+
+      } finally {
+        if (db) {
+          db.close();
+        }
+
+      }
+
+    }).then(errorMessage => {
+      if (errorMessage) {
+        return sendError(`Error parsing file from ${res.locals.source.data}: ${errorMessage}`);
+      }
+
+      next();
+
+    }, err => {
+      sendError(`Error parsing file from ${res.locals.source.data}: ${err}`);
+    });
+
+  });
+
+}
+
+// middleware that returns up to the first 10 rows of a sheet (the first by
+// default) of an Excel workbook.  Rows are returned as they're displayed (as a
+// .csv file exported from the sheet would contain them), with fields named by
+// the header row, if there is one.  The OpenAddresses machine can't read
+// workbooks, so the source is flagged as needing conversion to a .csv file.
+function parseExcelStream(stream, res, next) {
+  let prefix = res.locals.source.type;
+  if (res.locals.source.compression === 'zip') {
+    prefix += ' ZIP';
+  }
+  prefix += ` ${_.toUpper(res.locals.source.conform.type)}`;
+
+  const sendError = errorMessage => {
+    logger.info(`${prefix}: ${errorMessage}`);
+    res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+  };
+
+  // only the rows needed are read from each sheet, unless sampling across the
+  // whole sheet, but never fewer than are used to detect a header row
+  const options = { type: 'buffer' };
+
+  if (!res.locals.sampler) {
+    options.sheetRows = Math.max(res.locals.offset + res.locals.size + 1, excelHeaderRows);
+  }
+
+  // workbooks (.zip files or OLE2 compound documents) require random access,
+  // so write the stream to a temporary file and read it back in
+  writeWholeFile(stream, res, (err, excelPath) => {
+    if (err) {
+      return sendError(`Error parsing file from ${res.locals.source.data}: ${err}`);
+    }
+
+    let workbook;
+
+    try {
+      workbook = XLSX.read(fs.readFileSync(excelPath), options);
+    } catch (err) {
+      return sendError(`Error parsing file from ${res.locals.source.data}: Could not parse as Excel workbook`);
+    }
+
+    logger.debug(`${prefix}: sheets: ${JSON.stringify(workbook.SheetNames)}`);
+    res.locals.source.source_data.layers = workbook.SheetNames;
+
+    const sheet = _.defaultTo(res.locals.layer, workbook.SheetNames[0]);
+
+    if (!_.includes(workbook.SheetNames, sheet)) {
+      return sendError(`Error parsing file from ${res.locals.source.data}: Sheet '${sheet}' not found in workbook`);
+    }
+
+    res.locals.source.conform.layer = sheet;
+
+    res.locals.source.source_data.needsConversion = true;
+    addWarning(res, 'Excel workbooks are not supported by the OpenAddresses machine, the sheet must be converted to a .csv file');
+
+    // every row has a value for every column of the sheet, blank rows are skipped
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheet], { header: 1, raw: false, defval: '', blankrows: false });
+
+    if (_.isEmpty(rows)) {
+      setCount(res, 0, true);
+      return next();
+    }
+
+    const header = dialect.sniffHeader(_.take(rows, excelHeaderRows));
+
+    if (header) {
+      res.locals.source.source_data.fields = rows[0];
+    } else {
+      // without a header, fields are numbered the same way the OpenAddresses machine does
+      res.locals.source.source_data.fields = rows[0].map((field, i) => `COLUMN${i + 1}`);
+      res.locals.source.conform.headers = -1;
+    }
+
+    logger.debug(`${prefix}: fields: ${JSON.stringify(res.locals.source.source_data.fields)}`);
+
+    const records = (header ? _.tail(rows) : rows).map(row => _.zipObject(res.locals.source.source_data.fields, row));
+
+    // the full range of a sheet is only known when not every row was read, and
+    // then the rows can only be counted from the range, which includes blank rows
+    const fullRange = workbook.Sheets[sheet]['!fullref'];
+
+    if (fullRange) {
+      const range = XLSX.utils.decode_range(fullRange);
+      setCount(res, range.e.r - range.s.r + (header ? 0 : 1), false);
+    } else {
+      setCount(res, records.length, true);
+    }
+
+    records.slice(res.locals.offset).forEach(record => {
+      if (res.locals.sampler) {
+        res.locals.sampler.add({ attributes: record });
+      } else if (res.locals.source.source_data.results.length < res.locals.size) {
+        logger.debug(`${prefix}: record: ${JSON.stringify(record)}`);
+        res.locals.source.source_data.results.push(record);
+      }
+    });
+
+    finishSampling(res);
+
+    next();
+
+  });
+
+}
+
+// open a read stream for the entry of a .zip file with the same name as `fileName`
+// but a different extension, ignoring case.  callback is called with an error,
+// the opened zipfile (so it can be closed when done), and the stream, which is
+// undefined if there is no such entry.
+function openSiblingZipEntry(zipPath, fileName, extension, callback) {
+  const siblingFileName = _.toLower(fileName.replace(/\.[^.]+$/, extension));
+
+  yauzl.open(zipPath, {lazyEntries: true}, (err, zipfile) => {
+    if (err) {
+      return callback(err);
+    }
+
+    zipfile.readEntry();
+
+    zipfile.on('entry', entry => {
+      if (_.toLower(entry.fileName) !== siblingFileName) {
+        return zipfile.readEntry();
+      }
+
+      zipfile.openReadStream(entry, (err, stream) => {
+        if (err) {
+          zipfile.close();
+          return callback(err);
+        }
+
+        callback(null, zipfile, stream);
+
+      });
+
+    });
+
+    zipfile.on('end', () => callback(null, zipfile));
+
+  });
+
+}
+
+// middleware that reads the geometries of the sampled records from the .shp
+// file matching a .dbf file in a .zip file
+function sampleShapefileGeometries(zipPath, dbfFileName, res, next) {
+  const prefix = `${res.locals.source.type} ZIP SHP`;
+
+  // records without a matching .shp file have no geometry
+  res.locals.source.source_data.geometries = res.locals.source.source_data.results.map(() => null);
+
+  openSiblingZipEntry(zipPath, dbfFileName, '.shp', (err, zipfile, stream) => {
+    if (err) {
+      logger.error(`err: ${err}`);
+      return next();
+    }
+
+    if (!stream) {
+      logger.debug(`${prefix}: no .shp file found for ${dbfFileName}`);
+      return next();
+    }
+
+    // records chosen by a sampler are at their index after the offset
+    const options = {
+      offset: res.locals.offset,
+      size: res.locals.size,
+      indexes: res.locals.sampledIndexes ? res.locals.sampledIndexes.map(index => res.locals.offset + index) : undefined
+    };
+
+    readShapefileGeometries(stream, options, (err, geometries) => {
+      zipfile.close();
+
+      if (err && !res.locals.geometry) {
+        // the geometries are only needed for inferring coverage, so the records can still be returned
+        logger.info(`${prefix}: Could not parse .shp file for ${dbfFileName}: ${err.message}`);
+        return next();
+      }
+
+      if (err) {
+        const errorMessage = `Error parsing file from ${res.locals.source.data}: ${err.message}`;
+        logger.info(`${prefix}: ${errorMessage}`);
+        res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+        return;
+      }
+
+      res.locals.source.source_data.geometries = geometries;
+      next();
+
+    });
+
+  });
+
+}
+
+// middleware that reads the coordinate system from the .prj file matching a
+// .dbf file in a .zip file
+function sampleShapefileProjection(zipPath, dbfFileName, res, next) {
+  const prefix = `${res.locals.source.type} ZIP PRJ`;
+
+  openSiblingZipEntry(zipPath, dbfFileName, '.prj', (err, zipfile, stream) => {
+    if (err) {
+      logger.error(`err: ${err}`);
+      return next();
+    }
+
+    if (!stream) {
+      logger.debug(`${prefix}: no .prj file found for ${dbfFileName}`);
+      return next();
+    }
+
+    toString(stream, (err, wkt) => {
+      zipfile.close();
+
+      logger.debug(`${prefix}: ${wkt}`);
+      setSrs(res, crs.fromWkt(wkt), '.prj file');
+      next();
+
+    });
+
+  });
+
+}
+
+// middleware that reads the declared encoding from the .cpg file matching a
+// .dbf file in a .zip file, the .dbf file is decoded with it when present
+function sampleShapefileEncoding(zipPath, dbfFileName, res, next) {
+  const prefix = `${res.locals.source.type} ZIP CPG`;
+
+  openSiblingZipEntry(zipPath, dbfFileName, '.cpg', (err, zipfile, stream) => {
+    if (err) {
+      logger.error(`err: ${err}`);
+      return next();
+    }
+
+    if (!stream) {
+      logger.debug(`${prefix}: no .cpg file found for ${dbfFileName}`);
+      return next();
+    }
+
+    toString(stream, (err, contents) => {
+      zipfile.close();
+
+      logger.debug(`${prefix}: ${contents}`);
+      res.locals.declaredEncoding = encoding.fromCpg(contents);
+
+      if (!res.locals.declaredEncoding) {
+        addWarning(res, `Unsupported encoding '${_.trim(contents)}' in .cpg file`);
+      }
+
+      next();
+
+    });
+
+  });
+
+}
+
+// extract the table files of the File Geodatabase in the directory
+// `gdbDirectory` of a .zip file to a .gdb directory in `outputPath`.  callback
+// is called with an error or the path of the extracted directory.
+function extractZipGeodatabase(zipPath, gdbDirectory, outputPath, callback) {
+  const gdbPath = path.join(outputPath, path.posix.basename(gdbDirectory));
+  fs.mkdirSync(gdbPath);
+
+  yauzl.open(zipPath, {lazyEntries: true}, (err, zipfile) => {
+    if (err) {
+      return callback(err);
+    }
+
+    zipfile.readEntry();
+
+    zipfile.on('entry', entry => {
+      // only the .gdbtable and .gdbtablx files are read, not the indexes
+      if (path.posix.dirname(entry.fileName) !== gdbDirectory || !/\.gdbtabl[ex]$/i.test(entry.fileName)) {
+        return zipfile.readEntry();
+      }
+
+      zipfile.openReadStream(entry, (err, stream) => {
+        if (err) {
+          zipfile.close();
+          return callback(err);
+        }
+
+        const fileName = _.toLower(path.posix.basename(entry.fileName));
+        stream.pipe(fs.createWriteStream(path.join(gdbPath, fileName))).on('close', () => zipfile.readEntry());
+
+      });
+
+    });
+
+    zipfile.on('error', callback);
+
+    zipfile.on('end', () => callback(null, gdbPath));
+
+  });
+
+}
+
+// read up to the first 10 rows of a File Geodatabase table after the offset
+// (or every row up to the byte limit, when sampling), keeping only the values
+// of `fields`.  Rows are read in batches so other requests aren't blocked, and
+// callback is called with an error if they can't be read.
+function sampleGeodatabaseRows(tablePath, fields, res, callback) {
+  let table;
+
+  try {
+    table = fgdb.openTable(tablePath);
+  } catch (err) {
+    return callback(err);
+  }
+
+  const results = [];
+
+  // the rows read so far, including those skipped by the offset, and the
+  // (approximate) bytes of those sampled
+  let index = 0;
+  let bytes = 0;
+
+  // whether enough rows have been read
+  let finished = false;
+
+  const readBatch = start => {
+    let batch = 0;
+    let next;
+
+    try {
+      next = fgdb.forEachRow(table, row => {
+        index += 1;
+        batch += 1;
+
+        if (index > res.locals.offset) {
+          const record = _.pick(row, fields);
+
+          if (res.locals.sampler) {
+            res.locals.sampler.add({ attributes: record });
+            bytes += Buffer.byteLength(JSON.stringify(record));
+
+            if (bytes >= sampling.maxBytes) {
+              res.locals.truncated = true;
+              addWarning(res, `Only the first ${sampling.maxBytes} bytes of the table were sampled`);
+              finished = true;
+            }
+
+          } else {
+            results.push(record);
+            finished = results.length >= res.locals.size;
+          }
+
+        }
+
+        return !finished && batch < gdbRowBatchSize;
+
+      }, start);
+
+    } catch (err) {
+      fgdb.closeTable(table);
+      return callback(err);
+
+    }
+
+    if (!finished && next) {
+      return setImmediate(readBatch, next);
+    }
+
+    fgdb.closeTable(table);
+
+    res.locals.source.source_data.results = results;
+    finishSampling(res);
+    callback();
+
+  };
+
+  readBatch();
+
+}
+
+// middleware that returns up to the first 10 rows of a table (the first by
+// default) of a File Geodatabase, a .gdb directory in a .zip file.  Every table
+// is described with its geometry type, number of rows, and fields, which are
+// still reported when the rows of the chosen table can't be read.
+function sampleFileGeodatabase(zipPath, gdbDirectory, res, next) {
+  const prefix = `${res.locals.source.type} ZIP GDB`;
+
+  const sendError = errorMessage => {
+    logger.info(`${prefix}: ${errorMessage}`);
+    res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+  };
+
+  // tables are read by offset, so the files are extracted to a temporary directory
+  extractZipGeodatabase(zipPath, gdbDirectory, res.locals.temp.mkdirSync('gdb'), (err, gdbPath) => {
+    if (err) {
+      return sendError(`Error retrieving file ${res.locals.source.data}: ${err}`);
+    }
+
+    let tables;
+
+    try {
+      tables = fgdb.listTables(gdbPath);
+    } catch (err) {
+      return sendError(`Error parsing file from ${res.locals.source.data}: Could not parse as File Geodatabase`);
+    }
+
+    logger.debug(`${prefix}: tables: ${JSON.stringify(_.map(tables, 'name'))}`);
+
+    // tables that can't be opened are only listed by name
+    const descriptions = tables.map(table => {
+      try {
+        const opened = fgdb.openTable(table.path);
+        fgdb.closeTable(opened);
+
+        return {
+          name: table.name,
+          geometryType: _.defaultTo(opened.geometryType, null),
+          count: opened.count,
+          fields: opened.fields.map(field => _.pick(field, ['name', 'alias', 'type']))
+        };
+
+      } catch (err) {
+        addWarning(res, `Could not read table '${table.name}' of geodatabase: ${err.message}`);
+        return { name: table.name };
+
+      }
+
+    });
+
+    res.locals.source.source_data.layers = _.map(tables, 'name');
+    res.locals.source.source_data.gdb = { tables: descriptions };
+
+    if (_.isEmpty(tables)) {
+      return sendError(`Error parsing file from ${res.locals.source.data}: No tables found in geodatabase`);
+    }
+
+    const layer = _.defaultTo(res.locals.layer, tables[0].name);
+    const description = _.find(descriptions, { name: layer });
+
+    if (!description) {
+      return sendError(`Error parsing file from ${res.locals.source.data}: Table '${layer}' not found in geodatabase`);
+    }
+
+    res.locals.source.conform.layer = layer;
+
+    if (!description.fields) {
+      return sendError(`Error parsing file from ${res.locals.source.data}: Could not read table '${layer}' of geodatabase`);
+    }
+
+    const fields = description.fields
+      .filter(field => !_.includes(gdbNonAttributeFieldTypes, field.type))
+      .map(field => field.name);
+
+    res.locals.source.source_data.fields = fields;
+    logger.debug(`${prefix}: fields: ${JSON.stringify(fields)}`);
+
+    setCount(res, description.count, true);
+
+    sampleGeodatabaseRows(_.find(tables, { name: layer }).path, fields, res, err => {
+      if (err) {
+        addWarning(res, `Could not read the rows of table '${layer}' of geodatabase: ${err.message}`);
+      }
+
+      next();
+
+    });
+
+  });
+
+}
+
+// the compression of a file based on its name (zip, gzip, or tar), if any
+function getCompressionType(fileName) {
+  const name = _.toLower(fileName);
+
+  if (_.endsWith(name, '.zip') || _.endsWith(name, '.kmz')) {
+    return 'zip';
+  } else if (_.endsWith(name, '.gz') || _.endsWith(name, '.tgz')) {
+    return 'gzip';
+  } else if (_.endsWith(name, '.tar')) {
+    return 'tar';
+  }
+  return undefined;
+
+}
+
+// the type of Excel workbook (xlsx or xls) based on its name, if any
+function getExcelType(fileName) {
+  return _.find(excelTypes, type => _.endsWith(_.toLower(fileName), `.${type}`));
+}
+
+// the type of file that can be sampled from a .zip file entry, if any
+function getZipEntryType(fileName) {
+  if (isDelimitedFile(fileName)) {
+    return 'csv';
+  } else if (_.endsWith(fileName, '.geojson')) {
+    return 'geojson';
+  } else if (geoJsonLinesFileRegexp.test(fileName)) {
+    return 'geojson-ld';
+  } else if (_.endsWith(fileName, '.dbf')) {
+    return 'shapefile';
+  } else if (_.endsWith(fileName, '.kml')) {
+    return 'kml';
+  } else if (_.endsWith(fileName, '.gpkg')) {
+    return 'gpkg';
+  } else if (getExcelType(fileName)) {
+    return getExcelType(fileName);
+  }
+  return getCompressionType(fileName);
+
+}
+
+// list the files in a .zip file that can be sampled, in the order they appear.
+// callback is called with an error or the list of candidates, each with the
+// `name` to report (the .shp file of a shapefile, if there is one, or the .gdb
+// directory of a File Geodatabase), `type`, uncompressed `size`, and
+// `entryName` of the entry to sample.
+function listZipCandidates(zipPath, callback) {
+  yauzl.open(zipPath, {lazyEntries: true}, (err, zipfile) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const entries = [];
+
+    zipfile.on('entry', entry => {
+      // skip directories and the resource forks added by macOS
+      if (!_.endsWith(entry.fileName, '/') && !_.startsWith(entry.fileName, '__MACOSX/')) {
+        entries.push(entry);
+      }
+      zipfile.readEntry();
+    });
+
+    zipfile.on('error', callback);
+
+    zipfile.on('end', () => {
+      const fileNames = entries.map(entry => entry.fileName);
+
+      const candidates = entries
+        .filter(entry => getZipEntryType(entry.fileName) || gdbCatalogRegexp.test(entry.fileName))
+        .map(entry => {
+          const type = gdbCatalogRegexp.test(entry.fileName) ? 'gdb' : getZipEntryType(entry.fileName);
+          const candidate = { name: entry.fileName, type: type, size: entry.uncompressedSize, entryName: entry.fileName };
+
+          // shapefiles are sampled from the .dbf file but identified by the .shp file
+          const shp = type === 'shapefile' && _.find(entries, e => e.fileName === entry.fileName.replace(/\.dbf$/, '.shp'));
+          if (shp) {
+            candidate.name = shp.fileName;
+            candidate.size = shp.uncompressedSize + entry.uncompressedSize;
+          }
+
+          // geodatabases are sampled from the system catalog but identified by their directory
+          if (type === 'gdb') {
+            candidate.name = path.posix.dirname(entry.fileName);
+            candidate.size = _.sumBy(entries.filter(e => _.startsWith(e.fileName, `${candidate.name}/`)), 'uncompressedSize');
+          }
+
+          return candidate;
+
+        });
+
+      logger.debug(`ZIP: entries: ${JSON.stringify(fileNames)}`);
+
+      zipfile.close();
+      callback(null, candidates);
+
+    });
+
+    zipfile.readEntry();
+
+  });
+
+}
+
+// determine the type of a retrieved file from `sample`, its first bytes, and
+// the response `headers` (if any) since the extension of the URL may be
+// missing or misleading.  A binary signature, such as that of a .zip file, is
+// trusted over the filename of the Content-Disposition header, which is
+// trusted over the extension of the URL, the Content-Type header, and lastly
+// the text of the sample.  Returns the name of the file with an extension
+// matching its type, or undefined if the type is unsupported.
+function sniffFileName(res, sample, headers) {
+  const fileName = sniff.fromContentDisposition(_.get(headers, 'content-disposition'));
+  const urlFileName = path.basename(new URL(res.locals.source.data).pathname);
+
+  const type = sniff.fromSignature(sample) || getZipEntryType(fileName) || getZipEntryType(urlFileName) ||
+    sniff.fromContentType(_.get(headers, 'content-type')) || sniff.fromText(sample);
+
+  if (!type) {
+    return undefined;
+  }
+
+  if (type !== getZipEntryType(urlFileName)) {
+    logger.debug(`${res.locals.source.type}: ${res.locals.source.data} is ${type}, not ${getZipEntryType(urlFileName)}`);
+  }
+
+  // the type determined from the URL may have been wrong
+  delete res.locals.source.conform.type;
+  delete res.locals.source.compression;
+
+  if (type === 'zip') {
+    res.locals.source.compression = 'zip';
+  }
+
+  return _.find([fileName, urlFileName], name => getZipEntryType(name) === type) ||
+    `${_.defaultTo(fileName, urlFileName)}${fileExtensions[type]}`;
+
+}
+
+// decompress a stream of a .zip, .tar, or gzipped file named `fileName`,
+// recording each level in source_data.compression, then sample the file
+// inside, which may itself be an archive up to `maxCompressionDepth` levels
+function processCompressedStream(stream, fileName, res, next) {
+  const protocol = res.locals.source.type;
+
+  const compression = _.defaultTo(res.locals.compression, []);
+  res.locals.compression = compression;
+
+  if (compression.length >= maxCompressionDepth) {
+    const errorMessage = `Error retrieving file ${res.locals.source.data}: Archives nested more than ${maxCompressionDepth} levels deep`;
+    logger.info(`${protocol}: ${errorMessage}`);
+    res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+    return;
+  }
+
+  const compressionType = getCompressionType(fileName);
+  compression.push(compressionType);
+
+  // a single .zip file is already described by the top-level compression
+  if (!_.isEqual(compression, ['zip'])) {
+    res.locals.source.source_data.compression = compression;
+  }
+
+  if (compressionType === 'gzip') {
+    const gunzip = zlib.createGunzip();
+
+    // the size of the decompressed file isn't known
+    delete res.locals.totalBytes;
+
+    gunzip.on('error', err => {
+      const errorMessage = `Error retrieving file ${res.locals.source.data}: ${err.message}`;
+      logger.info(`${protocol} GZIP: ${errorMessage}`);
+      if (!res.headersSent) {
+        res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+      }
+    });
+
+    // a .tgz file is a gzipped .tar file
+    sampleGunzippedStream(stream.pipe(gunzip), fileName.replace(/\.tgz$/i, '.tar').replace(/\.gz$/i, ''), res, next);
+
+  } else if (compressionType === 'tar') {
+    convertTarToZip(stream, res, (err, zipPath) => {
+      if (err) {
+        const errorMessage = `Error retrieving file ${res.locals.source.data}: ${err}`;
+        logger.info(`${protocol} TAR: ${errorMessage}`);
+        res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+        return;
+      }
+
+      processZipPath(zipPath, res, next);
+
+    });
+
+  } else {
+    processZipFile(stream, res, next);
+
+  }
+
+}
+
+// sample the decompressed contents of a gzipped file, `fileName` being its
+// name without the .gz extension
+function sampleGunzippedStream(stream, fileName, res, next) {
+  const protocol = res.locals.source.type;
+
+  logger.debug(`${protocol} GZIP: ${fileName}`);
+
+  if (getZipEntryType(fileName)) {
+    sampleStream(stream, fileName, res, next);
+    return;
+  }
+
+  // without a recognizable extension, determine the type from the contents
+  peekStream(stream, (sample, peeked) => {
+    const type = sniff.fromSignature(sample) || sniff.fromText(sample);
+
+    if (type) {
+      sampleStream(peeked, `${fileName}${fileExtensions[type]}`, res, next);
+    } else {
+      logger.info(`${protocol} GZIP: Could not determine type from gzip file`);
+      res.status(400).type('application/json').send(generateErrorMessage(400, 'Could not determine type from gzip file'));
+    }
+
+  });
+
+}
+
+// the parsers of each type of file that can be sampled from a stream
+const streamParsers = {
+  csv: parseCsvStream,
+  geojson: parseGeoJsonStream,
+  'geojson-ld': parseGeoJsonLinesStream,
+  kml: parseKmlStream,
+  gpkg: parseGeoPackageStream,
+  xlsx: parseExcelStream,
+  xls: parseExcelStream,
+  // only the attributes of a .dbf file without the rest of its shapefile
+  shapefile: parseDbfStream
+};
+
+// sample a stream of a file whose type is known from the extension of `fileName`
+function sampleStream(stream, fileName, res, next) {
+  if (getCompressionType(fileName)) {
+    processCompressedStream(stream, fileName, res, next);
+  } else {
+    res.locals.source.conform.type = getZipEntryType(fileName);
+
+    // streams that have been peeked at are paused, data starts flowing once the parser is listening
+    stream.resume();
+    streamParsers[res.locals.source.conform.type](stream, res, next);
+  }
+
+}
+
+// repackage the files of a .tar stream as a temporary .zip file so they can be
+// listed and sampled the same way.  callback is called with an error or the
+// path of the .zip file.
+function convertTarToZip(stream, res, callback) {
+  const done = _.once(callback);
+
+  const extract = tar.extract();
+  const zipfile = new yazl.ZipFile();
+  const tmpZipStream = res.locals.temp.createWriteStream();
+
+  extract.on('entry', (header, entryStream, nextEntry) => {
+    entryStream.on('end', nextEntry);
+
+    const name = header.name.replace(/^\.\//, '');
+
+    // directories, links, and paths that can't be in a .zip file are skipped
+    if (header.type === 'file' && !path.isAbsolute(name) && !_.includes(name.split('/'), '..')) {
+      zipfile.addReadStream(entryStream, name, { compress: false, size: header.size });
+    } else {
+      entryStream.resume();
+    }
+
+  });
+
+  extract.on('error', err => done(err.message));
+  extract.on('finish', () => zipfile.end());
+
+  zipfile.outputStream.pipe(tmpZipStream).on('close', () => {
+    logger.debug(`wrote ${tmpZipStream.bytesWritten} bytes to ${tmpZipStream.path}`);
+    done(null, tmpZipStream.path);
+  });
+
+  stream.pipe(extract);
+
+}
+
+function processZipFile(zipfile, res, next) {
+  // every record is read when sampling across the whole file, so the download
+  // is limited, but a .zip file can't be read without its end
+  if (res.locals.sampler) {
+    writeWholeFile(zipfile, res, (err, zipPath) => {
+      if (err) {
+        const errorMessage = `Error retrieving file ${res.locals.source.data}: ${err}`;
+        logger.info(`${res.locals.source.type} ZIP: ${errorMessage}`);
+        res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+        return;
+      }
 
-      res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+      processZipPath(zipPath, res, next);
 
-    })
-    .done(() => {
-      if (!res.headersSent) {
-        // this will happen when the list of results has been processed and
-        // iteration still has no reached the 11th result, which is very unlikely
-        next();
-      }
     });
 
-}
-
-// middleware that returns up to the first 10 records of a csv file
-function parseCsvStream(stream, res, next) {
-  let prefix = res.locals.source.type;
-  if (res.locals.source.compression === 'zip') {
-    prefix += ' ZIP';
+    return;
   }
-  prefix += ' CSV';
-
-  stream.once('data', data => {
-    // grab the first line from the stream
-    const lines = Buffer.from(data).toString().split('\n');
 
-    const headerLine = lines.shift();
+  const tmpZipStream = res.locals.temp.createWriteStream();
 
-    // get the counts of each delimiter
-    const delimiterHistogram = _.pick(_.countBy(headerLine), [',', '|', '\t', ';']);
+  // write the response to a temporary file
+  zipfile.pipe(tmpZipStream).on('close', (err) => {
+    logger.debug(`wrote ${tmpZipStream.bytesWritten} bytes to ${tmpZipStream.path}`);
 
-    // find the potential delimiter that appears most often
-    const likelyDelimiter = _.maxBy(_.keys(delimiterHistogram), i => delimiterHistogram[i]);
+    processZipPath(tmpZipStream.path, res, next);
 
-    res.locals.source.source_data.fields = headerLine.split(likelyDelimiter);
-    // console.log(`${prefix}: fields: ${res.locals.source.source_data.fields}`);
-    logger.debug(`${prefix}: fields: ${res.locals.source.source_data.fields}`);
+  });
 
-    res.locals.source.conform.csvsplit = likelyDelimiter;
-    logger.debug(`${prefix}: likely delimiter for ${res.locals.source.data} '${likelyDelimiter}'`);
+}
 
-    // pause the stream and put everything else but the first line
-    // back on the stream
-    stream.pause();
-    stream.unshift(Buffer.from(lines.join('\n')));
+// choose the file to sample from a .zip file written to a temporary file
+function processZipPath(zipPath, res, next) {
+  const protocol = res.locals.source.type;
 
-    // otherwise everything was fine so pipe the response to CSV and collect records
-    stream.pipe(csvParse({
-      // DO NOT USE `from` and `to` to limit records since it downloads the entire
-      // file whereas this way simply stops the download after 10 records
-      delimiter: likelyDelimiter,
-      skip_empty_lines: true,
-      columns: res.locals.source.source_data.fields,
-      from: res.locals.offset+1
-    }))
-    .on('error', err => {
-      const errorMessage = `Error parsing file from ${res.locals.source.data} as CSV: ${err}`;
-      logger.info(`${prefix}: ${errorMessage}`);
+  listZipCandidates(zipPath, (err, candidates) => {
+    if (err) {
+      const errorMessage = `Error retrieving file ${res.locals.source.data}: ${err}`;
+      logger.info(`${protocol} ZIP: ${errorMessage}`);
       res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
-    })
-    .pipe(through2.obj(function(record, enc, callback) {
-      if (res.locals.source.source_data.results.length < res.locals.size) {
-        logger.debug(`${prefix}: record: ${JSON.stringify(record)}`);
-        res.locals.source.source_data.results.push(record);
+      return;
+    }
 
-        callback();
+    if (_.isEmpty(candidates)) {
+      logger.info(`${protocol} ZIP: Could not determine type from zip file`);
+      res.status(400).type('application/json').send(generateErrorMessage(400, 'Could not determine type from zip file'));
+      return;
+    }
 
-      } else {
-        // there are enough records so end the stream prematurely, handle in 'close' event
-        logger.debug(`${prefix}: found ${res.locals.size} results, exiting`);
-        this.destroy();
-      }
+    const [archives, files] = _.partition(candidates, candidate => getCompressionType(candidate.name));
 
-    }))
-    .on('close', () => {
-      logger.debug(`${prefix}: stream ended prematurely`);
-      next();
-    })
-    .on('finish', () => {
-      logger.debug(`${prefix}: stream ended normally`);
-      next();
-    });
+    // sample the requested file, otherwise the first one.  Nested archives are
+    // only sampled when there's nothing else or the requested file isn't found
+    // (it may be inside one of them).
+    const selected = _.defaultTo(res.locals.file ?
+      _.find(candidates, candidate => _.toLower(candidate.name) === _.toLower(res.locals.file)) :
+      _.head(files), _.head(archives));
 
-    stream.resume();
+    if (!selected) {
+      const errorMessage = `File '${res.locals.file}' not found in zip file`;
+      logger.info(`${protocol} ZIP: ${errorMessage}`);
+      res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+      return;
+    }
+
+    // when there's a choice, list the choices and record which was made so
+    // that the OpenAddresses machine reads the same file
+    if (candidates.length > 1) {
+      res.locals.source.source_data.files = candidates.map(candidate => _.pick(candidate, ['name', 'type', 'size']));
+    }
+    if (candidates.length > 1 || res.locals.file) {
+      res.locals.source.conform.file = selected.name;
+    }
+
+    sampleZipEntry(zipPath, selected.entryName, res, next);
 
   });
 
 }
 
-// middleware that returns up to the first 10 records of a dbf file
-function parseDbfStream(stream, res, next) {
-  let prefix = res.locals.source.type;
-  if (res.locals.source.compression === 'zip') {
-    prefix += ' ZIP';
-  }
-  prefix += ' DBF';
+// sample an entry of a .zip file written to a temporary file
+function sampleZipEntry(zipPath, entryName, res, next) {
+  const protocol = res.locals.source.type;
 
-  res.locals.source.source_data.results = [];
+  yauzl.open(zipPath, {lazyEntries: true}, function(err, zipfile) {
+    if (err) {
+      const errorMessage = `Error retrieving file ${res.locals.source.data}: ${err}`;
+      logger.info(`${protocol} ZIP: ${errorMessage}`);
+      res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
 
-  const options = {
-    offset: res.locals.offset,
-    size: res.locals.size
-  };
+    } else {
+      // open an entry for parsing, responding with an error if it can't be read
+      const openEntry = (entry, parse) => zipfile.openReadStream(entry, (err, stream) => {
+        if (err) {
+          const errorMessage = `Error retrieving file ${res.locals.source.data}: ${err}`;
+          logger.error(`${protocol} ZIP: ${errorMessage}`);
+          return res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+        }
 
-  // pipe the dbf contents from the .zip file to a stream
-  stream
-    .pipe(new YADBF(options))
-    .on('error', err => {
-      let errorMessage = `Error parsing file from ${res.locals.source.data}: `;
-      errorMessage += 'Could not parse as shapefile';
-      logger.info(`${prefix}: ${errorMessage}`);
+        parse(stream);
 
-      res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+      });
 
-    })
-    .on('header', header => {
-      // there's a header so pull the field names from it
-      res.locals.source.source_data.fields = header.fields.map(f => f.name);
+      // read first entry
+      zipfile.readEntry();
 
-      logger.debug(`${prefix}: fields: ${JSON.stringify(res.locals.source.source_data.fields)}`);
+      zipfile.on('entry', function(entry) {
+        if (entry.fileName === entryName) {
+          // the size of the file rather than the .zip file, for estimating the number of records it contains
+          res.locals.totalBytes = entry.uncompressedSize;
+        }
 
-    })
-    .on('data', record => {
-      // find all the non-@ attributes
-      const attributes = _.pickBy(record, (value, key) => !_.startsWith(key, '@'));
+        if (entry.fileName !== entryName) {
+          // only the selected file is sampled
+          zipfile.readEntry();
 
-      logger.debug(`${prefix}: attributes: ${JSON.stringify(attributes)}`);
+        }
+        else if (getCompressionType(entry.fileName)) {
+          logger.debug(`${protocol} ZIP ARCHIVE: ${entry.fileName}`);
 
-      res.locals.source.source_data.results.push(attributes);
+          // the files to choose from are those of the nested archive
+          delete res.locals.source.source_data.files;
+          delete res.locals.source.conform.file;
 
-    })
-    .on('end', () => {
-      // ran out of records before 10, so call next()
-      if (!res.headersSent) {
-        return next();
-      }
-    });
+          openEntry(entry, stream => processCompressedStream(stream, entry.fileName, res, next));
 
-}
+        }
+        else if (isDelimitedFile(entry.fileName)) {
+          logger.debug(`${protocol} ZIP CSV: ${entry.fileName}`);
+          res.locals.source.conform.type = 'csv';
 
-function processZipFile(zipfile, res, next) {
-  const protocol = res.locals.source.type;
+          openEntry(entry, stream => parseCsvStream(stream, res, next));
 
-  const tmpZipStream = res.locals.temp.createWriteStream();
+        }
+        else if (_.endsWith(entry.fileName, '.geojson')) {
+          logger.debug(`${protocol} ZIP GEOJSON: ${entry.path}`);
 
-  // write the response to a temporary file
-  zipfile.pipe(tmpZipStream).on('close', (err) => {
-    logger.debug(`wrote ${tmpZipStream.bytesWritten} bytes to ${tmpZipStream.path}`);
+          res.locals.source.conform.type = 'geojson';
 
-    yauzl.open(tmpZipStream.path, {lazyEntries: true}, function(err, zipfile) {
-      if (err) {
-        const errorMessage = `Error retrieving file ${res.locals.source.data}: ${err}`;
-        logger.info(`${protocol} ZIP: ${errorMessage}`);
-        res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+          openEntry(entry, stream => parseGeoJsonStream(stream, res, next));
 
-      } else {
-        // read first entry
-        zipfile.readEntry();
+        }
+        else if (geoJsonLinesFileRegexp.test(entry.fileName)) {
+          logger.debug(`${protocol} ZIP GEOJSON-LD: ${entry.fileName}`);
 
-        zipfile.on('entry', function(entry) {
-          if (isDelimitedFile(entry.fileName)) {
-            logger.debug(`${protocol} ZIP CSV: ${entry.fileName}`);
-            res.locals.source.conform.type = 'csv';
+          res.locals.source.conform.type = 'geojson-ld';
 
-            zipfile.openReadStream(entry, (err, stream) => {
-              if (err) {
-                logger.error(`err: ${err}`);
-              } else {
-                parseCsvStream(stream, res, next);
-              }
+          openEntry(entry, stream => parseGeoJsonLinesStream(stream, res, next));
 
-            });
+        }
+        else if (_.endsWith(entry.fileName, '.dbf')) {
+          logger.debug(`${protocol} ZIP DBF: ${entry.fileName}`);
 
-          }
-          else if (_.endsWith(entry.fileName, '.geojson')) {
-            logger.debug(`${protocol} ZIP GEOJSON: ${entry.path}`);
+          // in the case of a DBF file, because there's no DBF parser that takes a stream,
+          // write to a temporary file and read in that way
+          res.locals.source.conform.type = 'shapefile';
 
-            res.locals.source.conform.type = 'geojson';
+          // the .cpg file has to be read first since it's needed to decode the .dbf file
+          // once the attributes have been read, read the coordinate system and
+          // geometries from the matching .prj and .shp files
+          sampleShapefileEncoding(zipPath, entry.fileName, res, () => openEntry(entry, stream =>
+            parseDbfStream(stream, res, () => sampleShapefileProjection(zipPath, entry.fileName, res, () =>
+              sampleShapefileGeometries(zipPath, entry.fileName, res, next)))));
 
-            zipfile.openReadStream(entry, (err, stream) => {
-              if (err) {
-                console.error(`err: ${err}`);
-              } else {
-                parseGeoJsonStream(stream, res, next);
-              }
+        }
+        else if (_.endsWith(entry.fileName, '.kml')) {
+          logger.debug(`${protocol} ZIP KML: ${entry.fileName}`);
 
-            });
+          res.locals.source.conform.type = 'kml';
 
-          }
-          else if (_.endsWith(entry.fileName, '.dbf')) {
-            logger.debug(`${protocol} ZIP DBF: ${entry.fileName}`);
+          openEntry(entry, stream => parseKmlStream(stream, res, next));
 
-            // in the case of a DBF file, because there's no DBF parser that takes a stream,
-            // write to a temporary file and read in that way
-            res.locals.source.conform.type = 'shapefile';
+        }
+        else if (getExcelType(entry.fileName)) {
+          logger.debug(`${protocol} ZIP ${_.toUpper(getExcelType(entry.fileName))}: ${entry.fileName}`);
 
-            zipfile.openReadStream(entry, (err, stream) => {
-              if (err) {
-                console.error(`err: ${err}`);
-              } else {
-                parseDbfStream(stream, res, next);
-              }
+          res.locals.source.conform.type = getExcelType(entry.fileName);
 
-            });
+          openEntry(entry, stream => parseExcelStream(stream, res, next));
 
-          }
-          else {
-            // this is a file that's currently unsupported so drain it so memory doesn't get full
-            logger.debug(`${protocol} ZIP: skipping ${entry.fileName}`);
-            zipfile.readEntry();
+        }
+        else if (_.endsWith(entry.fileName, '.gpkg')) {
+          logger.debug(`${protocol} ZIP GPKG: ${entry.fileName}`);
 
-          }
+          res.locals.source.conform.type = 'gpkg';
 
-        });
+          openEntry(entry, stream => parseGeoPackageStream(stream, res, next));
 
-        // handle catastrophic errors (file isn't a .zip file, etc)
-        zipfile.on('error', err => {
-          const errorMessage = `Error retrieving file ${res.locals.source.data}: ${err}`;
-          logger.info(`${protocol} ZIP: ${errorMessage}`);
-          res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+        }
+        else if (gdbCatalogRegexp.test(entry.fileName)) {
+          logger.debug(`${protocol} ZIP GDB: ${path.posix.dirname(entry.fileName)}`);
 
-        });
+          res.locals.source.conform.type = 'gdb';
 
-        // handle end of .zip file
-        zipfile.on('end', () => {
-          if (!res.locals.source.conform.type) {
-            logger.info(`${protocol} ZIP: Could not determine type from zip file`);
-            res.status(400).type('application/json').send(generateErrorMessage(400, 'Could not determine type from zip file'));
-          }
+          // the tables are read from the other files of the directory, not just this one
+          zipfile.close();
+          sampleFileGeodatabase(zipPath, path.posix.dirname(entry.fileName), res, next);
 
-        });
+        }
+        else {
+          // this is a file that's currently unsupported so drain it so memory doesn't get full
+          logger.debug(`${protocol} ZIP: skipping ${entry.fileName}`);
+          zipfile.readEntry();
 
-      }
+        }
 
-    });
+      });
+
+      // handle catastrophic errors (file isn't a .zip file, etc)
+      zipfile.on('error', err => {
+        const errorMessage = `Error retrieving file ${res.locals.source.data}: ${err}`;
+        logger.info(`${protocol} ZIP: ${errorMessage}`);
+        res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+
+      });
+
+      // handle end of .zip file
+      zipfile.on('end', () => {
+        if (!res.locals.source.conform.type) {
+          logger.info(`${protocol} ZIP: Could not determine type from zip file`);
+          res.status(400).type('application/json').send(generateErrorMessage(400, 'Could not determine type from zip file'));
+        }
+
+      });
+
+    }
 
   });
 
@@ -525,119 +3295,360 @@ function sampleHttpSource(req, res, next) {
       }
 
     } else {
-      if (res.locals.source.conform.type === 'geojson') {
-        parseGeoJsonStream(r, res, next);
-      }
-      else if (res.locals.source.conform.type === 'csv') {
-        // Write the header line and 100 data lines from the file to
-        // a temp file, then read that stream back in and process with that.
-        // This approach is required because the actual CSV parser unshifts
-        // records back onto the stream, which requires a readable stream and
-        // `r` is not one of them.
-        const tempCsvFile = res.locals.temp.createWriteStream();
-
-        let lineCount = 0;
-
-        // read the stream in line-by-line
-        r.pipe(byline.createStream())
-          .pipe(through2.obj(function (line, enc, next) {
-            if (lineCount++ < 101) {
-              this.push(line + '\n');
-              // console.error(`wrote line # ${lineCount}`);
-              return next();
-            }
+      // the size of the file, for estimating the number of records it contains
+      res.locals.totalBytes = parseInt(response.headers['content-length']) || undefined;
+
+      // samplers stop reading once they have enough records, so the download
+      // is stopped once the response has been sent
+      res.once('finish', () => r.abort());
+
+      // the request can't be read from directly, so pipe it through a stream
+      // whose first bytes can be examined to determine the type of file
+      const stream = r.pipe(through2());
+
+      peekStream(stream, (sample, peeked) => {
+        const fileName = sniffFileName(res, sample, response.headers);
+
+        if (!fileName) {
+          logger.info(`HTTP: Unsupported type: ${res.locals.source.data}`);
+          res.status(400).type('application/json').send(generateErrorMessage(400, 'Unsupported type'));
+          r.abort();
+        }
+        else {
+          // the encoding of a delimited file may be declared by the charset of its Content-Type
+          if (getZipEntryType(fileName) === 'csv') {
+            res.locals.declaredEncoding = encoding.fromContentType(response.headers['content-type']);
+          }
+
+          // the CSV parser stops once it has enough records, and the download is then aborted
+          sampleStream(peeked, fileName, res, next);
+        }
+
+      });
+
+    }
+
+  });
 
-            // once 101 lines have been read, destroy the stream
-            this.destroy(); // triggers 'close' event
+}
 
-            // close the temporary stream
-            tempCsvFile.emit('close');
+function sampleFtpSource(req, res, next) {
+  const url = new URL(res.locals.source.data);
+  const prefix = _.toUpper(_.trimEnd(url.protocol, ':'));
 
-          }))
-          .on('error', (err) => {
-            logger.info(`HTTP CSV: ${err.message}`);
-            res.status(400).type('application/json').send(generateErrorMessage(400, err.message));
-            next();
-          })
-          .pipe(tempCsvFile)
-          .on('close', () => {
-            // once the temporary stream has been closed, parse it
-            parseCsvStream(fs.createReadStream(tempCsvFile.path), res, next);
-          });
+  logger.debug(`${prefix}: ${res.locals.source.data}`);
 
+  const close = ftpTransports[url.protocol](url, getFtpCredentials(url), (err, stream, size) => {
+    // errors can also occur once the file is being read, such as a file not
+    // found on an FTPS server, so only respond if nothing has been sent yet
+    if (err) {
+      if (!res.headersSent) {
+        const errorMessage = `Error retrieving file ${res.locals.source.data}: ${err}`;
+        logger.info(`${prefix}: ${errorMessage}`);
+        res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
       }
-      else if (res.locals.source.compression === 'zip') {
-        processZipFile(r, res, next);
+      return;
+    }
+
+    // the size of the file, for estimating the number of records it contains
+    res.locals.totalBytes = size;
+
+    // FTP has no headers, so the type can only be determined from the URL and contents
+    peekStream(stream, (sample, peeked) => {
+      const fileName = sniffFileName(res, sample);
+
+      if (fileName) {
+        sampleStream(peeked, fileName, res, next);
+      } else {
+        logger.info(`${prefix}: Unsupported type: ${res.locals.source.data}`);
+        res.status(400).type('application/json').send(generateErrorMessage(400, 'Unsupported type'));
+        stream.destroy();
       }
 
-    }
+    });
 
   });
 
+  // samplers stop reading once they have enough records, so the connection
+  // is closed once the response has been sent
+  res.once('finish', close);
+
 }
 
-function sampleFtpSource(req, res, next) {
-  logger.debug(`FTP GEOJSON: ${res.locals.source.data}`);
+// the username and password of an FTP, FTPS, or SFTP URL, which are
+// percent-encoded in URLs, defaulting to anonymous access
+function getFtpCredentials(url) {
+  return {
+    user: decodeCredential(url.username) || 'anonymous',
+    pass: decodeCredential(url.password) || '@anonymous'
+  };
+}
 
-  const url = new URL(res.locals.source.data);
+// decode a percent-encoded username or password, one that isn't validly
+// encoded (such as one containing a bare %) is used as is
+function decodeCredential(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    return value;
+  }
+}
 
-  const options = {
+// retrieve a file from an FTP server, calling back with an error or a stream
+// of the file and its size (if the server reports it), and return a function
+// that closes the connection
+function openFtpStream(url, credentials, callback) {
+  const client = new JSFtp({
     host: url.hostname,
     port: url.port,
-    user: url.username,
-    pass: url.password
-  };
+    user: credentials.user,
+    pass: credentials.pass
+  });
 
-  // if (url.username || url.password) {
-  //   options.user = url.username;
-  //   options.pass = url.password;
-  // }
+  // handle errors like "connection refused"
+  client.on('error', callback);
 
-  const ftp = new JSFtp(options);
+  client.auth(credentials.user, credentials.pass, authErr => {
+    if (authErr) {
+      callback('Authentication error');
+      return;
+    }
+
+    // not every server supports SIZE, so errors are ignored
+    client.raw('size', url.pathname, (sizeErr, sizeResponse) => {
+      const size = sizeErr ? undefined : parseInt(_.last(_.split(sizeResponse.text, ' '))) || undefined;
+
+      client.get(url.pathname, (getErr, stream) => {
+        // bail early if there's an error, such as non-existent file
+        if (getErr) {
+          callback(getErr);
+          return;
+        }
+
+        // get() returns a paused stream, so resume it
+        stream.resume();
+
+        callback(null, stream, size);
+
+      });
+
+    });
 
-  // handle errors like "connection refused"
-  ftp.on('error', (err) => {
-    const errorMessage = `Error retrieving file ${res.locals.source.data}: ${err}`;
-    logger.info(`FTP ZIP: ${errorMessage}`);
-    res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
   });
 
-  ftp.auth(options.user, options.pass, authErr => {
-    if (authErr) {
-      const errorMessage = `Error retrieving file ${res.locals.source.data}: Authentication error`;
+  return () => client.destroy();
 
-      logger.info(`FTP GEOJSON: ${errorMessage}`);
-      res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
-      return;
+}
+
+// retrieve a file from an FTP server over TLS, which is negotiated with AUTH
+// TLS (explicit) except on port 990 where the connection starts with TLS
+// (implicit).  Arguments and return value are the same as openFtpStream.
+function openFtpsStream(url, credentials, callback) {
+  const client = new ftp.Client();
+
+  // the stream is only returned once the file starts downloading (or turns
+  // out to be empty) so that errors like a non-existent file are reported first
+  let returned = false;
+  let size;
+  const stream = through2(function(chunk, enc, cb) {
+    returnStream();
+    cb(null, chunk);
+  });
+
+  function returnStream() {
+    if (!returned) {
+      returned = true;
+      callback(null, stream, size);
     }
+  }
 
-    ftp.get(url.pathname, (getErr, stream) => {
-      // bail early if there's an error, such as non-existent file
-      if (getErr) {
-        const errorMessage = `Error retrieving file ${res.locals.source.data}: ${getErr}`;
-        logger.info(`FTP GEOJSON: ${errorMessage}`);
+  client.access({
+    host: url.hostname,
+    port: _.defaultTo(parseInt(url.port), 21),
+    user: credentials.user,
+    password: credentials.pass,
+    secure: url.port === '990' ? 'implicit' : true,
+    // like other requests, don't reject minor SSL errors, which basic-ftp
+    // checks for itself regardless of NODE_TLS_REJECT_UNAUTHORIZED
+    secureOptions: { rejectUnauthorized: false }
+  })
+  // not every server supports SIZE, so errors are ignored
+  .then(() => client.size(url.pathname).then(fileSize => size = fileSize, () => {}))
+  .then(() => client.downloadTo(stream, url.pathname))
+  .then(returnStream)
+  .catch(err => callback(err.code === 530 ? 'Authentication error' : err));
+
+  return () => client.close();
 
-        res.status(400).type('application/json').send(generateErrorMessage(400, errorMessage));
+}
+
+// retrieve a file from an SFTP server.  Arguments and return value are the
+// same as openFtpStream.
+function openSftpStream(url, credentials, callback) {
+  const client = new ssh2.Client();
+
+  client.on('error', err => callback(err.level === 'client-authentication' ? 'Authentication error' : err));
+
+  client.on('ready', () => {
+    client.sftp((sftpErr, sftp) => {
+      if (sftpErr) {
+        callback(sftpErr);
         return;
       }
 
-      // get() returns a paused stream, so resume it
-      stream.resume();
+      // open the file first so that errors like a non-existent file are reported before streaming
+      sftp.open(url.pathname, 'r', (openErr, handle) => {
+        if (openErr) {
+          callback(openErr);
+          return;
+        }
 
-      if (res.locals.source.conform.type === 'geojson') {
-        parseGeoJsonStream(stream, res, next);
-      }
-      else if (res.locals.source.conform.type === 'csv') {
-        parseCsvStream(stream, res, next);
-      }
-      else if (res.locals.source.compression === 'zip') {
-        processZipFile(stream, res, next);
-      }
+        // not every server supports FSTAT, so errors are ignored
+        sftp.fstat(handle, (statErr, stats) => {
+          callback(null, sftp.createReadStream(url.pathname, { handle: handle }), statErr ? undefined : stats.size);
+        });
+
+      });
 
     });
 
   });
 
+  client.connect({
+    host: url.hostname,
+    port: _.defaultTo(parseInt(url.port), 22),
+    username: credentials.user,
+    password: credentials.pass
+  });
+
+  return () => client.end();
+
+}
+
+// functions that retrieve files from FTP servers, by URL protocol
+const ftpTransports = {
+  'ftp:': openFtpStream,
+  'ftps:': openFtpsStream,
+  'sftp:': openSftpStream
+};
+
+// middleware that profiles the fields of the sampled records when requested,
+// then trims the records to the requested size.  Records chosen by a sampler
+// are trimmed evenly so that they're still spread across the source.
+function profileFields(req, res, next) {
+  const sourceData = res.locals.source.source_data;
+
+  if (!_.has(res.locals, 'profile')) {
+    return next();
+  }
+
+  sourceData.profile = profile.profileFields(sourceData.fields, sourceData.results);
+
+  // merge the null ratios computed across the whole Arcgis layer
+  _.forEach(res.locals.arcgisNulls, (nulls, field) => {
+    if (_.has(sourceData.profile, field)) {
+      sourceData.profile[field].layerNulls = nulls;
+    }
+  });
+
+  logger.debug(`profile: ${JSON.stringify(sourceData.profile)}`);
+
+  if (sourceData.results.length > res.locals.resultSize) {
+    const indexes = res.locals.sampler ?
+      _.range(res.locals.resultSize).map(i => Math.floor(i * sourceData.results.length / res.locals.resultSize)) :
+      _.range(res.locals.resultSize);
+
+    sourceData.results = _.at(sourceData.results, indexes);
+
+    if (_.has(sourceData, 'geometries')) {
+      sourceData.geometries = _.at(sourceData.geometries, indexes);
+    }
+
+  }
+
+  next();
+
+}
+
+// middleware that pre-populates conform with mappings suggested from the sampled
+// fields and records, without overwriting anything the samplers already set
+function suggestConform(req, res, next) {
+  const suggestions = conform.suggest(
+    res.locals.source.source_data.fields,
+    res.locals.source.source_data.results,
+    // only delimited files and spreadsheets need their coordinates mapped, everything else has geometry
+    { coordinates: _.includes(_.concat('csv', excelTypes), res.locals.source.conform.type) }
+  );
+
+  logger.debug(`suggested conform: ${JSON.stringify(suggestions)}`);
+
+  _.defaults(res.locals.source.conform, suggestions.conform);
+
+  if (!_.isEmpty(suggestions.confidence)) {
+    res.locals.source.source_data.confidence = suggestions.confidence;
+  }
+
+  next();
+
+}
+
+// middleware that infers coverage from the locations of the sampled records,
+// either their geometries or the suggested lat/lon fields, and their suggested city field
+function inferCoverage(req, res, next) {
+  const sourceData = res.locals.source.source_data;
+
+  if (!_.isEmpty(res.locals.source.coverage)) {
+    return next();
+  }
+
+  // geometries in other coordinate systems can't be reverse geocoded, except
+  // for ArcGIS since geometries are requested in WGS84
+  const projected = sourceData.srs && !crs.isWgs84(sourceData.srs) && res.locals.source.type !== 'ESRI';
+
+  let points = [];
+
+  if (!_.isEmpty(sourceData.geometries) && !projected) {
+    points = _.compact(sourceData.geometries.map(coverage.representativePoint));
+  } else if (_.isString(res.locals.source.conform.lat) && _.isString(res.locals.source.conform.lon)) {
+    points = sourceData.results.map(result => [
+      parseFloat(result[res.locals.source.conform.lon]),
+      parseFloat(result[res.locals.source.conform.lat])
+    ]);
+  }
+
+  // the city can only be inferred when it's a field of the records rather than a function
+  const cities = _.isString(res.locals.source.conform.city) ?
+    sourceData.results.map(result => result[res.locals.source.conform.city]) : [];
+
+  res.locals.source.coverage = coverage.infer(points, cities);
+
+  logger.debug(`inferred coverage: ${JSON.stringify(res.locals.source.coverage)}`);
+
+  next();
+
+}
+
+// middleware that removes the geometries read for inferring coverage unless they were requested
+function omitGeometries(req, res, next) {
+  if (!res.locals.geometry) {
+    delete res.locals.source.source_data.geometries;
+  }
+
+  next();
+
+}
+
+// middleware that replaces the type of file sampled with the type the
+// OpenAddresses machine reads it as, once nothing else depends on it
+function setConformType(req, res, next) {
+  const type = res.locals.source.conform.type;
+
+  if (_.has(conformTypes, type)) {
+    res.locals.source.conform.type = conformTypes[type];
+  }
+
+  next();
+
 }
 
 // middleware that cleans up any temp files that were created in the course
@@ -656,12 +3667,20 @@ function output(req, res, next) {
   }
 };
 
+// setup a router that resolves CKAN dataset pages to one of their resources
+const ckanRouter = express.Router();
+ckanRouter.get('/', isCkanDataset, resolveCkanDataset);
+
 // setup a router that only handles Arcgis sources
 const arcgisRouter = express.Router();
-arcgisRouter.get('/', isArcgisSource, sampleArcgis);
+arcgisRouter.get('/', isArcgisSource, isArcgisLayer, authenticateArcgis, sampleArcgisMetadata, countArcgisFeatures,
+  profileArcgisFields, sampleArcgisObjectIds, sampleArcgis);
+arcgisRouter.get('/', isArcgisSource, isArcgisDiscovery, authenticateArcgis, discoverArcgisLayers);
 
 const httpRouter = express.Router();
-httpRouter.get('/', isHttpSource, sampleHttpSource);
+httpRouter.get('/', isHttpSource, isSocrataDataset, sampleSocrataMetadata, countSocrataRecords, sampleSocrata);
+httpRouter.get('/', isHttpSource, isWfsService, sampleWfsCapabilities, countWfsFeatures, sampleWfs);
+httpRouter.get('/', isHttpSource, isHttpFile, sampleHttpSource);
 
 const ftpRouter = express.Router();
 ftpRouter.get('/', isFtpSource, sampleFtpSource);
@@ -670,9 +3689,15 @@ router.get('/',
   preconditionsCheck,
   determineType,
   setupTemp,
+  ckanRouter,
   arcgisRouter,
   httpRouter,
   ftpRouter,
+  profileFields,
+  suggestConform,
+  inferCoverage,
+  omitGeometries,
+  setConformType,
   cleanupTemp,
   output
 );
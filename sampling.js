@@ -0,0 +1,138 @@
+const _ = require('lodash');
+const through2 = require('through2');
+
+// Strategies for choosing which records of a source are sampled.  `head`
+// returns the first records (after the offset) and stops reading, while
+// `random` and `stratified` read every record so the sample is spread
+// across the whole source:
+// - random: a uniform random sample, using reservoir sampling
+// - stratified: the records are split into equal strata of consecutive
+//   records and one is chosen at random from each
+
+const modes = ['head', 'random', 'stratified'];
+
+// the maximum number of bytes read from a file by the modes that read every record
+const maxBytes = 50 * 1024 * 1024;
+
+// a random integer between 0 (inclusive) and max (exclusive)
+function randomInt(max, random) {
+  return Math.floor(random() * max);
+}
+
+// reservoir sampling (Algorithm R): the first `size` records fill the
+// reservoir, then the nth record replaces a random one with probability size/n
+function createReservoir(size, random) {
+  const reservoir = [];
+
+  return {
+    add: (item, n) => {
+      if (reservoir.length < size) {
+        reservoir.push(item);
+      } else {
+        const j = randomInt(n + 1, random);
+
+        if (j < size) {
+          reservoir[j] = item;
+        }
+
+      }
+
+    },
+    items: () => reservoir
+  };
+
+}
+
+// records are kept at a fixed interval, which doubles (discarding every other
+// kept record) whenever more than twice `size` records are kept, so the kept
+// records are always evenly spread across those read so far.  Since there are
+// more kept records than strata, every stratum contains at least one.
+function createStrata(size, random) {
+  let kept = [];
+  let interval = 1;
+
+  return {
+    add: (item, n) => {
+      if (n % interval !== 0) {
+        return;
+      }
+
+      kept.push(item);
+
+      if (kept.length > size * 2) {
+        kept = kept.filter((keptItem, i) => i % 2 === 0);
+        interval *= 2;
+      }
+
+    },
+    items: count => {
+      if (kept.length <= size) {
+        return kept;
+      }
+
+      return _.range(size).map(i => {
+        const stratum = kept.filter(item => item.index >= i * count / size && item.index < (i + 1) * count / size);
+        return stratum[randomInt(stratum.length, random)];
+      });
+
+    }
+  };
+
+}
+
+// create a sampler that chooses `size` records using one of the modes that
+// read every record, `random` defaults to Math.random.  Records are added in
+// the order they're read and the sample is returned in that order, each with
+// the `index` it was added at and its `record`.
+function createSampler(mode, size, random) {
+  const strategy = (mode === 'stratified' ? createStrata : createReservoir)(size, _.defaultTo(random, Math.random));
+
+  let count = 0;
+
+  return {
+    add: record => {
+      strategy.add({ index: count, record: record }, count);
+      count += 1;
+    },
+    count: () => count,
+    sample: () => _.sortBy(strategy.items(count), 'index')
+  };
+
+}
+
+// limit the number of bytes read from a stream, the returned stream ends
+// once `limit` bytes have passed through it and `onLimit` is called
+function limitStream(stream, limit, onLimit) {
+  let bytes = 0;
+
+  const limited = through2(function(chunk, enc, callback) {
+    if (bytes >= limit) {
+      return callback();
+    }
+
+    const remaining = limit - bytes;
+    bytes += chunk.length;
+
+    if (bytes < limit) {
+      return callback(null, chunk);
+    }
+
+    callback(null, chunk.slice(0, remaining));
+
+    // stop reading the rest of the source
+    stream.unpipe(limited);
+    limited.end();
+    onLimit();
+
+  });
+
+  return stream.pipe(limited);
+
+}
+
+module.exports = {
+  modes,
+  maxBytes,
+  createSampler,
+  limitStream
+};
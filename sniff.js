@@ -0,0 +1,176 @@
+const _ = require('lodash');
+const dialect = require('./dialect');
+
+// Determines the type of a downloaded file when its URL doesn't have a
+// recognizable extension (or has a misleading one) from the response headers
+// and the first bytes of its contents.  Types are named the way files in
+// .zip files are: 'csv', 'geojson', 'geojson-ld' (a feature on each line),
+// 'kml', 'gpkg', 'shapefile' (a .dbf file), 'xlsx', 'xls', 'zip', 'gzip', or 'tar'.
+
+// media types (without parameters) and the types of files they describe
+const contentTypes = {
+  'text/csv': 'csv',
+  'application/csv': 'csv',
+  'text/tab-separated-values': 'csv',
+  'application/geo+json': 'geojson',
+  'application/vnd.geo+json': 'geojson',
+  'application/json': 'geojson',
+  'application/geo+json-seq': 'geojson-ld',
+  'application/x-ndjson': 'geojson-ld',
+  'application/ndjson': 'geojson-ld',
+  'application/vnd.google-earth.kml+xml': 'kml',
+  'application/vnd.google-earth.kmz': 'zip',
+  'application/geopackage+sqlite3': 'gpkg',
+  'application/zip': 'zip',
+  'application/x-zip-compressed': 'zip',
+  'application/gzip': 'gzip',
+  'application/x-gzip': 'gzip',
+  'application/x-tar': 'tar',
+  'application/dbf': 'shapefile',
+  'application/x-dbf': 'shapefile',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.ms-excel': 'xls'
+};
+
+// the first byte of the dBase versions found in .dbf files
+const dbfVersions = [0x02, 0x03, 0x30, 0x31, 0x32, 0x43, 0x63, 0x83, 0x8b, 0xcb, 0xf5, 0xfb];
+
+// the type of file described by a Content-Type header
+function fromContentType(contentType) {
+  return contentTypes[_.toLower(_.trim(_.head(_.toString(contentType).split(';'))))];
+}
+
+// the filename of a Content-Disposition header, preferring the RFC 5987
+// encoded `filename*` parameter
+function fromContentDisposition(contentDisposition) {
+  const header = _.toString(contentDisposition);
+
+  const encoded = header.match(/filename\*\s*=\s*[^']*'[^']*'([^;\s]+)/i);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1]);
+    } catch (err) {
+      // fall back to the plain filename parameter
+    }
+  }
+
+  const plain = header.match(/filename\s*=\s*("([^"]*)"|[^;\s]+)/i);
+  if (plain) {
+    return _.defaultTo(plain[2], plain[1]);
+  }
+  return undefined;
+
+}
+
+function startsWith(sample, signature, offset) {
+  return sample.length >= (offset || 0) + signature.length &&
+    sample.slice(offset || 0, (offset || 0) + signature.length).equals(Buffer.from(signature, 'binary'));
+}
+
+// whether a sample starts with a plausible .dbf header: a known version, a
+// valid (or empty) last update date, and a terminated header
+function isDbf(sample) {
+  if (sample.length < 32 || !_.includes(dbfVersions, sample[0])) {
+    return false;
+  }
+
+  const headerLength = sample.readUInt16LE(8);
+  const recordLength = sample.readUInt16LE(10);
+
+  return sample[2] <= 12 && sample[3] <= 31 &&
+    headerLength > 32 && recordLength > 0 &&
+    (sample.length < headerLength || sample[headerLength - 1] === 0x0d);
+
+}
+
+// the names of the .zip file entries whose local headers are in a sample,
+// stopping at an entry whose size is only known from the data descriptor after it
+function zipEntryNames(sample) {
+  const names = [];
+  let offset = 0;
+
+  while (startsWith(sample, 'PK\x03\x04', offset) && sample.length >= offset + 30) {
+    const nameLength = sample.readUInt16LE(offset + 26);
+    names.push(sample.toString('utf8', offset + 30, Math.min(sample.length, offset + 30 + nameLength)));
+
+    if (sample.readUInt16LE(offset + 6) & 0x08) {
+      break;
+    }
+
+    offset += 30 + nameLength + sample.readUInt16LE(offset + 28) + sample.readUInt32LE(offset + 18);
+  }
+
+  return names;
+
+}
+
+// whether a sample is the start of an .xlsx workbook, which is a .zip file
+// with the workbook and its worksheets under xl/
+function isXlsx(sample) {
+  return zipEntryNames(sample).some(name => _.startsWith(name, 'xl/'));
+}
+
+// the type of file identified by a binary signature at the start of a
+// sample (a Buffer), these can be trusted over extensions and headers
+function fromSignature(sample) {
+  if (isXlsx(sample)) {
+    return 'xlsx';
+  } else if (startsWith(sample, 'PK\x03\x04') || startsWith(sample, 'PK\x05\x06')) {
+    return 'zip';
+  } else if (startsWith(sample, '\x1f\x8b')) {
+    return 'gzip';
+  } else if (startsWith(sample, '\xd0\xcf\x11\xe0\xa1\xb1\x1a\xe1')) {
+    // an OLE2 compound document, as .xls workbooks are
+    return 'xls';
+  } else if (startsWith(sample, 'SQLite format 3\x00')) {
+    return 'gpkg';
+  } else if (startsWith(sample, 'ustar', 257)) {
+    return 'tar';
+  } else if (isDbf(sample)) {
+    return 'shapefile';
+  }
+  return undefined;
+
+}
+
+// whether the first line of text is a whole GeoJSON feature, as in a
+// newline-delimited GeoJSON file, rather than the start of a FeatureCollection
+function isFeatureLine(text) {
+  try {
+    return _.get(JSON.parse(text.split('\n')[0]), 'type') === 'Feature';
+  } catch (err) {
+    return false;
+  }
+}
+
+// the type of file guessed from the text of a sample (a Buffer): JSON
+// objects are GeoJSON (with a feature on each line when the first line is a
+// feature), record separators start GeoJSON text sequences, XML with a <kml>
+// element is KML, and text that can be split into more than one field is delimited
+function fromText(sample) {
+  // binary files can't be text
+  if (sample.includes(0)) {
+    return undefined;
+  }
+
+  const text = sample.toString().replace(/^\ufeff/, '').trimLeft();
+
+  if (_.startsWith(text, '\x1e')) {
+    return 'geojson-ld';
+  } else if (_.startsWith(text, '{')) {
+    return isFeatureLine(text) ? 'geojson-ld' : 'geojson';
+  } else if (_.startsWith(text, '<')) {
+    return /<kml[\s>]/.test(text) ? 'kml' : undefined;
+  } else if (text && dialect.sniff(text).fields.length > 1) {
+    return 'csv';
+  }
+  return undefined;
+
+}
+
+module.exports = {
+  fromContentType,
+  fromContentDisposition,
+  fromSignature,
+  fromText
+};
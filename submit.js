@@ -155,9 +155,12 @@ async function addFileToBranch(req, res, next) {
       body.license = _.pickBy(body.license, _.negate(_.isNull));
     }
 
-    body.coverage = {
-      country: 'xx'
-    };
+    // keep any coverage inferred by /sample, using a placeholder country when there is none
+    body.coverage = _.pickBy(_.get(body, 'coverage'), _.negate(_.isNull));
+
+    if (!_.has(body.coverage, 'country')) {
+      body.coverage.country = 'xx';
+    }
     // end of temporary fixes for null
 
     await res.locals.github.repos.createFile({
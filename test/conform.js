@@ -0,0 +1,169 @@
+const tape = require('tape');
+const conform = require('../conform');
+
+tape('suggest tests', test => {
+  test.test('separate fields should be mapped by name and values', t => {
+    const fields = ['OBJECTID', 'ADDR_NUM', 'ST_NAME', 'UNIT', 'MUNICIPALITY', 'ZIPCODE'];
+    const results = [
+      { OBJECTID: 1, ADDR_NUM: '123', ST_NAME: 'Main St', UNIT: '', MUNICIPALITY: 'York', ZIPCODE: '17401' },
+      { OBJECTID: 2, ADDR_NUM: '17A', ST_NAME: 'Maple Ave', UNIT: '2', MUNICIPALITY: 'York', ZIPCODE: '17402-1234' }
+    ];
+
+    t.deepEquals(conform.suggest(fields, results), {
+      conform: {
+        number: 'ADDR_NUM',
+        street: 'ST_NAME',
+        unit: 'UNIT',
+        city: 'MUNICIPALITY',
+        postcode: 'ZIPCODE'
+      },
+      confidence: {
+        number: 1,
+        street: 1,
+        unit: 0.8,
+        city: 0.8,
+        postcode: 1
+      }
+    });
+    t.end();
+
+  });
+
+  test.test('values contradicting a field name should lower the confidence', t => {
+    const fields = ['NUMBER', 'ZIP'];
+    const results = [
+      { NUMBER: 'not a number', ZIP: 'not a zip' },
+      { NUMBER: 'also not a number', ZIP: 'also not a zip' }
+    ];
+
+    t.deepEquals(conform.suggest(fields, results), {
+      conform: {},
+      confidence: {}
+    });
+    t.end();
+
+  });
+
+  test.test('number and street combined in one field should be split', t => {
+    const fields = ['ID', 'SITE_ADDRESS'];
+    const results = [
+      { ID: 1, SITE_ADDRESS: '123 Main St' },
+      { ID: 2, SITE_ADDRESS: '17 Maple Avenue N' }
+    ];
+
+    t.deepEquals(conform.suggest(fields, results), {
+      conform: {
+        number: { function: 'prefixed_number', field: 'SITE_ADDRESS' },
+        street: { function: 'postfixed_street', field: 'SITE_ADDRESS' }
+      },
+      confidence: {
+        number: 1,
+        street: 1
+      }
+    });
+    t.end();
+
+  });
+
+  test.test('combined values should be detected without a recognizable field name', t => {
+    const fields = ['LOCATION_TEXT'];
+    const results = [
+      { LOCATION_TEXT: '123 Main St' },
+      { LOCATION_TEXT: '17 Maple Avenue' }
+    ];
+
+    t.deepEquals(conform.suggest(fields, results).conform, {
+      number: { function: 'prefixed_number', field: 'LOCATION_TEXT' },
+      street: { function: 'postfixed_street', field: 'LOCATION_TEXT' }
+    });
+    t.end();
+
+  });
+
+  test.test('street name components should be joined', t => {
+    const fields = ['HOUSE_NUM', 'PRE_DIR', 'STREET_NAME', 'STREET_TYPE', 'SUF_DIR'];
+    const results = [
+      { HOUSE_NUM: 123, PRE_DIR: 'N', STREET_NAME: 'Main', STREET_TYPE: 'St', SUF_DIR: '' },
+      { HOUSE_NUM: 17, PRE_DIR: '', STREET_NAME: 'Maple', STREET_TYPE: 'Ave', SUF_DIR: 'SW' }
+    ];
+
+    t.deepEquals(conform.suggest(fields, results).conform, {
+      number: 'HOUSE_NUM',
+      street: {
+        function: 'join',
+        fields: ['PRE_DIR', 'STREET_NAME', 'STREET_TYPE', 'SUF_DIR'],
+        separator: ' '
+      }
+    });
+    t.end();
+
+  });
+
+  test.test('lat/lon should only be suggested when requested and values are coordinates', t => {
+    const fields = ['X', 'Y', 'LAT', 'LON'];
+    const results = [
+      { X: 2000000.5, Y: 200000.5, LAT: '39.9626', LON: '-76.7277' },
+      { X: 2000100.5, Y: 200100.5, LAT: '39.9627', LON: '-76.7278' }
+    ];
+
+    t.deepEquals(conform.suggest(fields, results).conform, {});
+    t.deepEquals(conform.suggest(fields, results, { coordinates: true }), {
+      conform: {
+        lat: 'LAT',
+        lon: 'LON'
+      },
+      confidence: {
+        lat: 1,
+        lon: 1
+      }
+    });
+    t.end();
+
+  });
+
+  test.test('identifiers should not be suggested as numbers from their values alone', t => {
+    const fields = ['OBJECTID', 'PRIMARYADDRESSNUM', 'STREETNAME', 'CITY'];
+    const results = [
+      { OBJECTID: 1, PRIMARYADDRESSNUM: '123', STREETNAME: 'Main St', CITY: 'York' },
+      { OBJECTID: 2, PRIMARYADDRESSNUM: '17', STREETNAME: 'Maple Ave', CITY: 'York' }
+    ];
+
+    t.deepEquals(conform.suggest(fields, results).conform, {
+      number: 'PRIMARYADDRESSNUM',
+      street: 'STREETNAME',
+      city: 'CITY'
+    });
+    t.end();
+
+  });
+
+  test.test('sequential integers should not be suggested as numbers from their values alone', t => {
+    const fields = ['SEQ', 'HOUSE'];
+    const results = [
+      { SEQ: '41', HOUSE: '123' },
+      { SEQ: '42', HOUSE: '17' },
+      { SEQ: '43', HOUSE: '9' }
+    ];
+
+    t.deepEquals(conform.suggest(fields, results).conform, {
+      number: 'HOUSE'
+    });
+    t.end();
+
+  });
+
+  test.test('unrecognizable fields should return no suggestions', t => {
+    const fields = ['attribute 1', 'attribute 2'];
+    const results = [
+      { 'attribute 1': 'feature 0 attribute 1 value', 'attribute 2': 'feature 0 attribute 2 value' }
+    ];
+
+    t.deepEquals(conform.suggest(fields, results), {
+      conform: {},
+      confidence: {}
+    });
+    t.end();
+
+  });
+
+});
@@ -0,0 +1,87 @@
+const tape = require('tape');
+const coverage = require('../coverage');
+
+tape('infer tests', test => {
+  test.test('points in a single US county should report country, state, and county', t => {
+    t.deepEquals(coverage.infer([[-76.7277, 39.9626], [-76.7, 39.95]]), {
+      country: 'us',
+      state: 'pa',
+      county: 'York',
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[[-76.7277, 39.95], [-76.7, 39.95], [-76.7, 39.9626], [-76.7277, 39.9626], [-76.7277, 39.95]]]
+      }
+    });
+    t.end();
+  });
+
+  test.test('points in different counties should report only country and state', t => {
+    // York and Lancaster counties, Pennsylvania
+    const inferred = coverage.infer([[-76.7277, 39.9626], [-76.3055, 40.0379]]);
+
+    t.equals(inferred.country, 'us');
+    t.equals(inferred.state, 'pa');
+    t.notOk(inferred.county);
+    t.end();
+  });
+
+  test.test('points outside the US should report only country', t => {
+    t.deepEquals(coverage.infer([[2.3522, 48.8566]]), {
+      country: 'fr',
+      geometry: {
+        type: 'Point',
+        coordinates: [2.3522, 48.8566]
+      }
+    });
+    t.end();
+  });
+
+  test.test('points in different countries should report only geometry', t => {
+    const inferred = coverage.infer([[2.3522, 48.8566], [-76.7277, 39.9626]]);
+
+    t.deepEquals(Object.keys(inferred), ['geometry']);
+    t.end();
+  });
+
+  test.test('cities shared by every record should be reported, ignoring case and blank values', t => {
+    t.equals(coverage.infer([[-76.7277, 39.9626]], ['York', ' YORK ', '', null, 'york']).city, 'York');
+    t.end();
+  });
+
+  test.test('different cities should not be reported', t => {
+    t.notOk(coverage.infer([[-76.7277, 39.9626]], ['York', 'Lancaster']).city);
+    t.notOk(coverage.infer([[-76.7277, 39.9626]], ['', null]).city);
+    t.end();
+  });
+
+  test.test('cities should not be reported without a country', t => {
+    t.deepEquals(Object.keys(coverage.infer([[2.3522, 48.8566], [-76.7277, 39.9626]], ['York'])), ['geometry']);
+    t.deepEquals(coverage.infer([], ['York']), {});
+    t.end();
+  });
+
+  test.test('invalid points should be ignored', t => {
+    t.deepEquals(coverage.infer([[NaN, 39.9626], [2000000, 200000]]), {});
+    t.deepEquals(coverage.infer([]), {});
+    t.end();
+  });
+
+});
+
+tape('representativePoint tests', test => {
+  test.test('center of the bounding box should be returned for all geometry types', t => {
+    t.deepEquals(coverage.representativePoint({ type: 'Point', coordinates: [1, 2] }), [1, 2]);
+    t.deepEquals(coverage.representativePoint({ type: 'LineString', coordinates: [[0, 0], [2, 4]] }), [1, 2]);
+    t.deepEquals(coverage.representativePoint({
+      type: 'MultiPolygon',
+      coordinates: [[[[0, 0], [0, 4], [2, 4], [0, 0]]], [[[4, 0], [4, 1], [5, 1], [4, 0]]]]
+    }), [2.5, 2]);
+    t.end();
+  });
+
+  test.test('missing geometry should return undefined', t => {
+    t.equals(coverage.representativePoint(null), undefined);
+    t.end();
+  });
+
+});
@@ -0,0 +1,247 @@
+const _ = require('lodash');
+
+// helper that builds the files of an Esri File Geodatabase, named as they are
+// in a .gdb directory.  Tables are supplied as { name: { geometryType, hasZ,
+// fields, rows } } where `fields` are { name, type } with type one of the keys
+// of `fieldTypes` and `rows` are objects of values, or null for a deleted row.
+// Every table has an object id field (OBJECTID unless named by `objectIdField`),
+// and tables with a `geometryType` (one of the keys of `geometryTypes`) a
+// SHAPE field before the other fields.
+
+const fieldTypes = {
+  smallInteger: 0,
+  integer: 1,
+  single: 2,
+  double: 3,
+  string: 4,
+  date: 5,
+  oid: 6,
+  geometry: 7,
+  blob: 8,
+  guid: 10
+};
+
+const geometryTypes = {
+  point: 1,
+  polyline: 3,
+  polygon: 4
+};
+
+// the system tables, which are listed in the catalog before any other table
+const systemTables = ['GDB_SystemCatalog', 'GDB_DBTune', 'GDB_SpatialRefs', 'GDB_Items', 'GDB_ItemTypes',
+  'GDB_ItemRelationships', 'GDB_ItemRelationshipTypes', 'GDB_ReplicaLog'];
+
+const uint8 = value => Buffer.from([value]);
+
+const int16 = value => {
+  const buffer = Buffer.alloc(2);
+  buffer.writeInt16LE(value, 0);
+  return buffer;
+};
+
+const int32 = value => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32LE(value, 0);
+  return buffer;
+};
+
+const float32 = value => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeFloatLE(value, 0);
+  return buffer;
+};
+
+const float64 = value => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeDoubleLE(value, 0);
+  return buffer;
+};
+
+const int64 = value => Buffer.concat([int32(value), int32(0)]);
+
+// 7 bits per byte, least significant first, with the high bit set on every byte but the last
+const varuint = value => {
+  const bytes = [];
+
+  do {
+    bytes.push((value & 0x7f) | (value >= 0x80 ? 0x80 : 0));
+    value = Math.floor(value / 0x80);
+  } while (value > 0);
+
+  return Buffer.from(bytes);
+
+};
+
+// a string prefixed by its number of characters
+const utf16 = value => Buffer.concat([uint8(value.length), Buffer.from(value, 'utf16le')]);
+
+// the bytes of a GUID formatted as {XXXXXXXX-XXXX-XXXX-XXXX-XXXXXXXXXXXX}
+const guid = value => {
+  const hex = Buffer.from(value.replace(/[{}-]/g, ''), 'hex');
+  return Buffer.concat([Buffer.from(hex.slice(0, 4)).reverse(), Buffer.from(hex.slice(4, 6)).reverse(),
+    Buffer.from(hex.slice(6, 8)).reverse(), hex.slice(8)]);
+};
+
+// the description of a field, every field but the OBJECTID is nullable
+function describeField(field, hasZ) {
+  const type = fieldTypes[field.type];
+  const header = Buffer.concat([utf16(field.name), utf16(field.name), uint8(type)]);
+
+  switch (field.type) {
+    case 'oid':
+      return Buffer.concat([header, uint8(4), uint8(2)]);
+    case 'string':
+      return Buffer.concat([header, int32(255), uint8(1), varuint(0)]);
+    case 'geometry': {
+      const srs = Buffer.from('GEOGCS["GCS_WGS_1984"]', 'utf16le');
+
+      return Buffer.concat([
+        header, uint8(0), uint8(1), int16(srs.length), srs,
+        // geometry flags, then the x and y origin and scale (and z), then the tolerances
+        uint8(hasZ ? 5 : 1),
+        float64(-400), float64(-400), float64(1000000000),
+        hasZ ? Buffer.concat([float64(-100000), float64(10000)]) : Buffer.alloc(0),
+        float64(0.000000008983),
+        hasZ ? float64(0.001) : Buffer.alloc(0),
+        // the extent (and z extent), then a spatial index grid size
+        float64(-77), float64(39), float64(-76), float64(40),
+        hasZ ? Buffer.concat([float64(0), float64(100)]) : Buffer.alloc(0),
+        uint8(0), int32(1), float64(0.5)
+      ]);
+    }
+    case 'blob':
+      return Buffer.concat([header, uint8(0), uint8(1)]);
+    case 'guid':
+      return Buffer.concat([header, uint8(38), uint8(1)]);
+    default:
+      return Buffer.concat([header, uint8([2, 4, 4, 8, 0, 8][type]), uint8(1), uint8(0)]);
+  }
+
+}
+
+// the value of a field in a row
+function encodeValue(type, value) {
+  switch (type) {
+    case 'smallInteger':
+      return int16(value);
+    case 'integer':
+      return int32(value);
+    case 'single':
+      return float32(value);
+    case 'double':
+      return float64(value);
+    case 'date':
+      // the number of days since 1899-12-30
+      return float64((Date.parse(value) - Date.UTC(1899, 11, 30)) / 86400000);
+    case 'string': {
+      const text = Buffer.from(value);
+      return Buffer.concat([varuint(text.length), text]);
+    }
+    case 'guid':
+      return guid(value);
+    default:
+      // geometries and binary values are just their length and bytes
+      return Buffer.concat([varuint(value.length), value]);
+  }
+
+}
+
+// the contents of the .gdbtable and .gdbtablx files of a table
+function createTable(table) {
+  const fields = _.concat(
+    [{ name: _.defaultTo(table.objectIdField, 'OBJECTID'), type: 'oid' }],
+    table.geometryType ? [{ name: 'SHAPE', type: 'geometry' }] : [],
+    table.fields);
+
+  const descriptions = Buffer.concat([
+    int32(4),
+    int32(_.defaultTo(geometryTypes[table.geometryType], 0)),
+    int16(fields.length)
+  ].concat(fields.map(field => describeField(field, table.hasZ))));
+
+  const nullable = _.tail(fields);
+
+  const rows = table.rows.map(row => {
+    if (!row) {
+      return undefined;
+    }
+
+    // the geometry of every feature is a point at 0, 0
+    const values = _.defaults({ SHAPE: Buffer.from([1, 0, 0]) }, row);
+
+    const nulls = Buffer.alloc(Math.ceil(nullable.length / 8));
+    nullable.forEach((field, i) => {
+      if (_.isNil(values[field.name])) {
+        nulls[i >> 3] |= 1 << (i & 7);
+      }
+    });
+
+    const blob = Buffer.concat([nulls].concat(nullable
+      .filter(field => !_.isNil(values[field.name]))
+      .map(field => encodeValue(field.type, values[field.name]))));
+
+    return Buffer.concat([int32(blob.length), blob]);
+
+  });
+
+  const fieldsOffset = 40;
+  let offset = fieldsOffset + 4 + descriptions.length;
+
+  const offsets = rows.map(row => {
+    if (!row) {
+      return 0;
+    }
+    const rowOffset = offset;
+    offset += row.length;
+    return rowOffset;
+  });
+
+  const header = Buffer.concat([
+    int32(3),
+    int32(_.compact(rows).length),
+    int32(_.max(_.compact(rows).map(row => row.length - 4)) || 0),
+    int32(5),
+    int32(0),
+    int32(0),
+    int64(offset),
+    int64(fieldsOffset)
+  ]);
+
+  // offsets of 5 bytes in blocks of 1024 rows, then a trailer without a bitmap of deleted blocks
+  const blocks = Math.ceil(rows.length / 1024);
+  const tablxOffsets = Buffer.alloc(blocks * 1024 * 5);
+  offsets.forEach((rowOffset, i) => tablxOffsets.writeUIntLE(rowOffset, i * 5, 5));
+
+  return {
+    gdbtable: Buffer.concat([header, int32(descriptions.length), descriptions].concat(_.compact(rows))),
+    gdbtablx: Buffer.concat([int32(3), int32(blocks), int32(rows.length), int32(5), tablxOffsets, Buffer.alloc(16)])
+  };
+
+}
+
+function createFileGeodatabase(tables) {
+  const names = _.concat(systemTables, _.keys(tables));
+
+  const catalog = {
+    objectIdField: 'ID',
+    fields: [{ name: 'Name', type: 'string' }, { name: 'FileFormat', type: 'integer' }],
+    rows: names.map(name => ({ Name: name, FileFormat: 0 }))
+  };
+
+  // only the catalog and the other tables are written, the other system tables aren't needed
+  const files = _.concat([[1, catalog]], _.keys(tables).map((name, i) => [systemTables.length + i + 1, tables[name]]));
+
+  return files.reduce((contents, [id, table]) => {
+    const name = `a${_.padStart(id.toString(16), 8, '0')}`;
+    const { gdbtable, gdbtablx } = createTable(table);
+
+    contents[`${name}.gdbtable`] = gdbtable;
+    contents[`${name}.gdbtablx`] = gdbtablx;
+
+    return contents;
+
+  }, { gdb: Buffer.from([5, 0, 0, 0, 0xde, 0xad, 0xbe, 0xef]) });
+
+}
+
+module.exports = createFileGeodatabase;
@@ -0,0 +1,113 @@
+const tape = require('tape');
+const crs = require('../crs');
+
+const esriStatePlaneWkt = 'PROJCS["NAD_1983_StatePlane_Pennsylvania_South_FIPS_3702_Feet",' +
+  'GEOGCS["GCS_North_American_1983",DATUM["D_North_American_1983",SPHEROID["GRS_1980",6378137.0,298.257222101]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Lambert_Conformal_Conic"],' +
+  'PARAMETER["False_Easting",1968500.0],PARAMETER["False_Northing",0.0],PARAMETER["Central_Meridian",-77.75],' +
+  'PARAMETER["Standard_Parallel_1",39.93333333333333],PARAMETER["Standard_Parallel_2",40.96666666666667],' +
+  'PARAMETER["Latitude_Of_Origin",39.33333333333334],UNIT["Foot_US",0.3048006096012192]]';
+
+const esriWgs84Wkt = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+const ogcWkt = 'PROJCS["NAD83 / UTM zone 18N",GEOGCS["NAD83",DATUM["North_American_Datum_1983",' +
+  'SPHEROID["GRS 1980",6378137,298.257222101,AUTHORITY["EPSG","7019"]],AUTHORITY["EPSG","6269"]],' +
+  'PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.01745329251994328,AUTHORITY["EPSG","9122"]],' +
+  'AUTHORITY["EPSG","4269"]],UNIT["metre",1,AUTHORITY["EPSG","9001"]],PROJECTION["Transverse_Mercator"],' +
+  'PARAMETER["central_meridian",-75],AUTHORITY["EPSG","26918"]]';
+
+tape('fromWkt tests', test => {
+  test.test('Esri WKT should be looked up by name', t => {
+    t.equals(crs.fromWkt(esriStatePlaneWkt), 'EPSG:2272');
+    t.equals(crs.fromWkt(esriWgs84Wkt), 'EPSG:4326');
+    t.end();
+  });
+
+  test.test('OGC WKT should use the outermost authority', t => {
+    t.equals(crs.fromWkt(ogcWkt), 'EPSG:26918');
+    t.end();
+  });
+
+  test.test('unknown or invalid WKT should return undefined', t => {
+    t.equals(crs.fromWkt('PROJCS["Not_A_Real_Projection"]'), undefined);
+    t.equals(crs.fromWkt('this is not WKT'), undefined);
+    t.equals(crs.fromWkt(undefined), undefined);
+    t.end();
+  });
+
+});
+
+tape('fromSpatialReference tests', test => {
+  test.test('latestWkid should be preferred over wkid', t => {
+    t.equals(crs.fromSpatialReference({ wkid: 102100, latestWkid: 3857 }), 'EPSG:3857');
+    t.end();
+  });
+
+  test.test('superseded Esri wkids should be normalized to the latest EPSG code', t => {
+    t.equals(crs.fromSpatialReference({ wkid: 102729 }), 'EPSG:2272');
+    t.equals(crs.fromSpatialReference({ wkid: 102100 }), 'EPSG:3857');
+    t.end();
+  });
+
+  test.test('Esri-only codes should be returned as ESRI codes', t => {
+    t.equals(crs.fromSpatialReference({ wkid: 102003 }), 'ESRI:102003');
+    t.end();
+  });
+
+  test.test('wkt should be used when there is no wkid', t => {
+    t.equals(crs.fromSpatialReference({ wkt: esriStatePlaneWkt }), 'EPSG:2272');
+    t.equals(crs.fromSpatialReference({}), undefined);
+    t.equals(crs.fromSpatialReference(undefined), undefined);
+    t.end();
+  });
+
+});
+
+tape('fromGeoJsonCrs tests', test => {
+  test.test('named crs should be normalized', t => {
+    t.equals(crs.fromGeoJsonCrs({ type: 'name', properties: { name: 'urn:ogc:def:crs:EPSG::3857' } }), 'EPSG:3857');
+    t.equals(crs.fromGeoJsonCrs({ type: 'name', properties: { name: 'urn:ogc:def:crs:EPSG:6.3:26986' } }), 'EPSG:26986');
+    t.equals(crs.fromGeoJsonCrs({ type: 'name', properties: { name: 'EPSG:2272' } }), 'EPSG:2272');
+    t.end();
+  });
+
+  test.test('CRS84 should be treated as WGS84', t => {
+    t.equals(crs.fromGeoJsonCrs({ type: 'name', properties: { name: 'urn:ogc:def:crs:OGC:1.3:CRS84' } }), 'EPSG:4326');
+    t.end();
+  });
+
+  test.test('EPSG type crs should be normalized', t => {
+    t.equals(crs.fromGeoJsonCrs({ type: 'EPSG', properties: { code: 2272 } }), 'EPSG:2272');
+    t.end();
+  });
+
+  test.test('unknown crs should return undefined', t => {
+    t.equals(crs.fromGeoJsonCrs({ type: 'link', properties: { href: 'http://example.com/crs' } }), undefined);
+    t.equals(crs.fromGeoJsonCrs(undefined), undefined);
+    t.end();
+  });
+
+});
+
+tape('fromOgcName tests', test => {
+  test.test('URN, EPSG, and URL names should be normalized', t => {
+    t.equals(crs.fromOgcName('urn:ogc:def:crs:EPSG::25832'), 'EPSG:25832');
+    t.equals(crs.fromOgcName('EPSG:25832'), 'EPSG:25832');
+    t.equals(crs.fromOgcName('http://www.opengis.net/def/crs/EPSG/0/25832'), 'EPSG:25832');
+    t.equals(crs.fromOgcName('http://www.opengis.net/gml/srs/epsg.xml#25832'), 'EPSG:25832');
+    t.end();
+  });
+
+  test.test('CRS84 should be treated as WGS84', t => {
+    t.equals(crs.fromOgcName('urn:ogc:def:crs:OGC:1.3:CRS84'), 'EPSG:4326');
+    t.end();
+  });
+
+  test.test('unknown names should return undefined', t => {
+    t.equals(crs.fromOgcName('urn:ogc:def:crs:ESRI::102100x'), undefined);
+    t.equals(crs.fromOgcName(undefined), undefined);
+    t.end();
+  });
+
+});
@@ -0,0 +1,85 @@
+const tape = require('tape');
+const dialect = require('../dialect');
+
+tape('sniff tests', test => {
+  test.test('delimiter should be the one splitting records most consistently', t => {
+    t.equals(dialect.sniff('a,b,c\n1,2,3\n').delimiter, ',');
+    t.equals(dialect.sniff('a\tb\tc\n1\t2\t3\n').delimiter, '\t');
+    t.equals(dialect.sniff('a;b;c\n1;2;3\n').delimiter, ';');
+    t.equals(dialect.sniff('a|b|c\n1|2|3\n').delimiter, '|');
+    t.end();
+  });
+
+  test.test('delimiters inside quoted fields should be ignored', t => {
+    t.equals(dialect.sniff('"a, b, c";d\n"1, 2, 3";4\n').delimiter, ';');
+    t.end();
+  });
+
+  test.test('single column files should default to comma', t => {
+    t.equals(dialect.sniff('address\n123 Main St\n').delimiter, ',');
+    t.end();
+  });
+
+  test.test('quote character should be detected', t => {
+    t.equals(dialect.sniff('"a","b"\n"1","2"\n').quote, '"');
+    t.equals(dialect.sniff('\'a\',\'b\'\n\'1\',\'2\'\n').quote, '\'');
+    t.equals(dialect.sniff('a,b\n1,O\'Brien St\n').quote, '"');
+    t.end();
+  });
+
+  test.test('line ending of the first record should be detected', t => {
+    t.equals(dialect.sniff('a,b\r\n1,2\r\n').lineEnding, '\r\n');
+    t.equals(dialect.sniff('a,b\n1,2\n').lineEnding, '\n');
+    t.equals(dialect.sniff('a,b\r1,2\r').lineEnding, '\r');
+    t.equals(dialect.sniff('a,b').lineEnding, '\n');
+    t.end();
+  });
+
+  test.test('fields and length of the first record should be returned', t => {
+    const sniffed = dialect.sniff('"a,1","b\r\n2",""""\r\n1,2,3\r\n');
+
+    t.deepEquals(sniffed.fields, ['a,1', 'b\r\n2', '"']);
+    t.equals(sniffed.headerLength, 19);
+    t.end();
+  });
+
+  test.test('record without a line ending should be used as the header', t => {
+    const sniffed = dialect.sniff('a,b,c');
+
+    t.deepEquals(sniffed.fields, ['a', 'b', 'c']);
+    t.equals(sniffed.headerLength, 5);
+    t.ok(sniffed.header);
+    t.end();
+  });
+
+  test.test('header should be detected by comparing the first record to the rest', t => {
+    t.ok(dialect.sniff('number,street\n12,Main St\n17,Maple Ave\n').header);
+    t.ok(dialect.sniff('id,zip\n1,17401\n2,17402\n').header);
+    t.notOk(dialect.sniff('12,Main St\n17,Maple Ave\n19,Oak Ave\n').header);
+    t.notOk(dialect.sniff('1,17401\n2,17402\n').header);
+    t.end();
+  });
+
+  test.test('header should be assumed when nothing votes against it', t => {
+    t.ok(dialect.sniff('a,b\n').header);
+    t.ok(dialect.sniff('street,city\nMain St,York\nMaple Ave,Hanover\n').header);
+    t.end();
+  });
+
+});
+
+tape('hasCompleteRecord tests', test => {
+  test.test('text with a line ending outside of quotes should have a complete record', t => {
+    t.ok(dialect.hasCompleteRecord('a,b\n'));
+    t.ok(dialect.hasCompleteRecord('"a\nb",c\n'));
+    t.end();
+  });
+
+  test.test('partial first records should not be complete', t => {
+    t.notOk(dialect.hasCompleteRecord('a,b'));
+    t.notOk(dialect.hasCompleteRecord('"a\nb'));
+    t.notOk(dialect.hasCompleteRecord(''));
+    t.end();
+  });
+
+});
@@ -0,0 +1,120 @@
+const tape = require('tape');
+const _ = require('lodash');
+const iconv = require('iconv-lite');
+const encoding = require('../encoding');
+
+tape('normalize tests', test => {
+  test.test('code page numbers as found in .cpg files should be normalized', t => {
+    t.equals(encoding.normalize('1252'), 'windows-1252');
+    t.equals(encoding.normalize('ANSI 1251'), 'windows-1251');
+    t.equals(encoding.normalize('88591'), 'iso-8859-1');
+    t.equals(encoding.normalize('65001'), 'utf-8');
+    t.equals(encoding.normalize('850'), 'cp850');
+    t.end();
+  });
+
+  test.test('aliases should be normalized to a single name', t => {
+    t.equals(encoding.normalize('UTF8'), 'utf-8');
+    t.equals(encoding.normalize(' UTF-8 '), 'utf-8');
+    t.equals(encoding.normalize('US-ASCII'), 'utf-8');
+    t.equals(encoding.normalize('latin1'), 'iso-8859-1');
+    t.equals(encoding.normalize('Windows-1252'), 'windows-1252');
+    t.end();
+  });
+
+  test.test('unsupported encodings should return undefined', t => {
+    t.equals(encoding.normalize('not an encoding'), undefined);
+    t.equals(encoding.normalize(''), undefined);
+    t.equals(encoding.normalize(undefined), undefined);
+    t.end();
+  });
+
+});
+
+tape('declaration tests', test => {
+  test.test('charset parameter of Content-Type header should be returned', t => {
+    t.equals(encoding.fromContentType('text/csv; charset=ISO-8859-1'), 'iso-8859-1');
+    t.equals(encoding.fromContentType('text/csv;charset="windows-1252"'), 'windows-1252');
+    t.equals(encoding.fromContentType('text/csv'), undefined);
+    t.equals(encoding.fromContentType(undefined), undefined);
+    t.end();
+  });
+
+  test.test('first line of .cpg file should be returned', t => {
+    t.equals(encoding.fromCpg('UTF-8\r\n'), 'utf-8');
+    t.equals(encoding.fromCpg('1252'), 'windows-1252');
+    t.equals(encoding.fromCpg(''), undefined);
+    t.end();
+  });
+
+  test.test('DBF language driver IDs should be mapped to supported encodings', t => {
+    t.equals(encoding.fromLanguageDriver(0x00), undefined);
+    t.equals(encoding.fromLanguageDriver(0x02), 'cp850');
+    t.equals(encoding.fromLanguageDriver(0x57), 'windows-1252');
+    t.equals(encoding.fromLanguageDriver(0xc9), 'windows-1251');
+
+    _.range(256).map(encoding.fromLanguageDriver).filter(_.identity).forEach(name => {
+      t.ok(iconv.encodingExists(name), `${name} should be supported`);
+    });
+
+    t.end();
+  });
+
+  test.test('byte order marks should be recognized', t => {
+    t.equals(encoding.fromBom(Buffer.from([0xef, 0xbb, 0xbf, 0x41])), 'utf-8');
+    t.equals(encoding.fromBom(Buffer.from([0xff, 0xfe, 0x41, 0x00])), 'utf-16le');
+    t.equals(encoding.fromBom(Buffer.from([0xfe, 0xff, 0x00, 0x41])), 'utf-16be');
+    t.equals(encoding.fromBom(Buffer.from('ABC')), undefined);
+    t.equals(encoding.fromBom(Buffer.alloc(0)), undefined);
+    t.end();
+  });
+
+});
+
+tape('isUtf8 tests', test => {
+  test.test('valid UTF-8 should return true', t => {
+    t.ok(encoding.isUtf8(Buffer.from('Calle Peñón, Straße, 東京')));
+    t.ok(encoding.isUtf8(Buffer.from('plain ASCII')));
+    t.end();
+  });
+
+  test.test('sequence cut off at the end of the sample should be allowed', t => {
+    t.ok(encoding.isUtf8(Buffer.from('Peñ').slice(0, 3)));
+    t.end();
+  });
+
+  test.test('single-byte encoded text should return false', t => {
+    t.notOk(encoding.isUtf8(iconv.encode('Calle Peñón', 'windows-1252')));
+    t.notOk(encoding.isUtf8(iconv.encode('CALLE ÑANDÚ', 'cp850')));
+    t.end();
+  });
+
+});
+
+tape('detect tests', test => {
+  test.test('byte order mark should take precedence over declared encoding', t => {
+    const sample = iconv.encode('Straße', 'utf-16le', { addBOM: true });
+    t.equals(encoding.detect(sample, 'windows-1252'), 'utf-16le');
+    t.end();
+  });
+
+  test.test('declared encoding should be used', t => {
+    t.equals(encoding.detect(Buffer.from('Straße'), 'windows-1252'), 'windows-1252');
+    t.equals(encoding.detect(iconv.encode('Straße', 'iso-8859-1'), 'iso-8859-1'), 'iso-8859-1');
+    t.end();
+  });
+
+  test.test('declared UTF-8 contradicted by the sample should be ignored', t => {
+    t.equals(encoding.detect(iconv.encode('Calle Peñón', 'windows-1252'), 'utf-8'), 'windows-1252');
+    t.end();
+  });
+
+  test.test('undeclared encoding should be guessed', t => {
+    t.equals(encoding.detect(Buffer.from('Calle Peñón')), 'utf-8');
+    t.equals(encoding.detect(Buffer.from('plain ASCII')), 'utf-8');
+    t.equals(encoding.detect(iconv.encode('Calle Peñón, Avenida Coruña', 'windows-1252')), 'windows-1252');
+    t.equals(encoding.detect(iconv.encode('Calle Peñón, Avenida Coruña', 'cp850')), 'cp850');
+    t.end();
+  });
+
+});
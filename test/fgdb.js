@@ -0,0 +1,398 @@
+const tape = require('tape');
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+const temp = require('temp').track();
+const yauzl = require('yauzl');
+const fgdb = require('../fgdb');
+const createFileGeodatabase = require('./createFileGeodatabase');
+
+// write the files of a geodatabase to a temporary .gdb directory, returning its path
+function writeFileGeodatabase(tables) {
+  const gdbPath = path.join(temp.mkdirSync('fgdb'), 'Addresses.gdb');
+  fs.mkdirSync(gdbPath);
+
+  _.forEach(createFileGeodatabase(tables), (contents, name) => fs.writeFileSync(path.join(gdbPath, name), contents));
+
+  return gdbPath;
+
+}
+
+// extract a zipped geodatabase of test/fixtures to a temporary directory,
+// returning a Promise resolving to the path of its .gdb directory
+function extractFixture(name) {
+  const outputPath = temp.mkdirSync('fgdb');
+
+  return new Promise((resolve, reject) => {
+    yauzl.open(path.join(__dirname, 'fixtures', name), { lazyEntries: true }, (err, zipfile) => {
+      if (err) {
+        return reject(err);
+      }
+
+      zipfile.on('entry', entry => {
+        const entryPath = path.join(outputPath, entry.fileName);
+
+        if (_.endsWith(entry.fileName, '/')) {
+          fs.mkdirSync(entryPath);
+          return zipfile.readEntry();
+        }
+
+        if (!fs.existsSync(path.dirname(entryPath))) {
+          fs.mkdirSync(path.dirname(entryPath));
+        }
+
+        zipfile.openReadStream(entry, (err, stream) => {
+          if (err) {
+            return reject(err);
+          }
+
+          stream.pipe(fs.createWriteStream(entryPath)).on('close', () => zipfile.readEntry());
+
+        });
+
+      });
+
+      zipfile.on('end', () => resolve(path.join(outputPath, name.replace(/\.zip$/, ''))));
+      zipfile.readEntry();
+
+    });
+
+  });
+
+}
+
+tape('getTableFileName tests', test => {
+  test.test('table ids should be formatted as 8 hexadecimal digits', t => {
+    t.equals(fgdb.getTableFileName(1), 'a00000001.gdbtable');
+    t.equals(fgdb.getTableFileName(26), 'a0000001a.gdbtable');
+    t.end();
+  });
+
+});
+
+tape('listTables tests', test => {
+  test.test('tables other than system tables should be listed in catalog order', t => {
+    const gdbPath = writeFileGeodatabase({
+      Address_Points: { geometryType: 'point', fields: [], rows: [] },
+      Street_Names: { fields: [], rows: [] }
+    });
+
+    t.deepEquals(fgdb.listTables(gdbPath), [
+      { name: 'Address_Points', path: path.join(gdbPath, 'a00000009.gdbtable') },
+      { name: 'Street_Names', path: path.join(gdbPath, 'a0000000a.gdbtable') }
+    ]);
+    t.end();
+  });
+
+  test.test('tables without a .gdbtable file should not be listed', t => {
+    const gdbPath = writeFileGeodatabase({
+      Address_Points: { geometryType: 'point', fields: [], rows: [] }
+    });
+
+    fs.unlinkSync(path.join(gdbPath, 'a00000009.gdbtable'));
+
+    t.deepEquals(fgdb.listTables(gdbPath), []);
+    t.end();
+  });
+
+});
+
+tape('openTable tests', test => {
+  test.test('count, geometry type, and fields should be read from the header and field descriptions', t => {
+    const gdbPath = writeFileGeodatabase({
+      Address_Points: {
+        geometryType: 'point',
+        fields: [
+          { name: 'ADD_NUM', type: 'integer' },
+          { name: 'ST_NAME', type: 'string' },
+          { name: 'UPDATED', type: 'date' }
+        ],
+        rows: [{ ADD_NUM: 1 }, null, { ADD_NUM: 3 }]
+      }
+    });
+
+    const table = fgdb.openTable(path.join(gdbPath, 'a00000009.gdbtable'));
+
+    t.equals(table.count, 2);
+    t.equals(table.geometryType, 'esriGeometryPoint');
+    t.deepEquals(table.fields, [
+      { name: 'OBJECTID', alias: 'OBJECTID', type: 'esriFieldTypeOID', nullable: false },
+      { name: 'SHAPE', alias: 'SHAPE', type: 'esriFieldTypeGeometry', nullable: true },
+      { name: 'ADD_NUM', alias: 'ADD_NUM', type: 'esriFieldTypeInteger', nullable: true },
+      { name: 'ST_NAME', alias: 'ST_NAME', type: 'esriFieldTypeString', nullable: true },
+      { name: 'UPDATED', alias: 'UPDATED', type: 'esriFieldTypeDate', nullable: true }
+    ]);
+
+    fgdb.closeTable(table);
+    t.end();
+  });
+
+  test.test('fields after a geometry field with z values should be read', t => {
+    const gdbPath = writeFileGeodatabase({
+      Building_Footprints: {
+        geometryType: 'polygon',
+        hasZ: true,
+        fields: [{ name: 'HEIGHT', type: 'double' }],
+        rows: [{ HEIGHT: 12.5 }]
+      }
+    });
+
+    const table = fgdb.openTable(path.join(gdbPath, 'a00000009.gdbtable'));
+
+    t.equals(table.geometryType, 'esriGeometryPolygon');
+    t.deepEquals(_.map(table.fields, 'name'), ['OBJECTID', 'SHAPE', 'HEIGHT']);
+
+    fgdb.forEachRow(table, row => t.deepEquals(row, { OBJECTID: 1, HEIGHT: 12.5 }));
+
+    fgdb.closeTable(table);
+    t.end();
+  });
+
+  test.test('tables without geometry should not have a geometry type', t => {
+    const gdbPath = writeFileGeodatabase({
+      Street_Names: { fields: [{ name: 'NAME', type: 'string' }], rows: [] }
+    });
+
+    const table = fgdb.openTable(path.join(gdbPath, 'a00000009.gdbtable'));
+
+    t.equals(table.count, 0);
+    t.equals(table.geometryType, undefined);
+
+    fgdb.closeTable(table);
+    t.end();
+  });
+
+  test.test('a file that is not a table should throw an error', t => {
+    const tablePath = path.join(temp.mkdirSync('fgdb'), 'a00000009.gdbtable');
+    fs.writeFileSync(tablePath, 'this is not a table');
+
+    t.throws(() => fgdb.openTable(tablePath), /Unexpected end of file/);
+    t.end();
+  });
+
+});
+
+tape('forEachRow tests', test => {
+  test.test('values of every type should be read, skipping deleted rows', t => {
+    const gdbPath = writeFileGeodatabase({
+      Address_Points: {
+        geometryType: 'point',
+        fields: [
+          { name: 'UNIT_COUNT', type: 'smallInteger' },
+          { name: 'ADD_NUM', type: 'integer' },
+          { name: 'ELEVATION', type: 'single' },
+          { name: 'LATITUDE', type: 'double' },
+          { name: 'ST_NAME', type: 'string' },
+          { name: 'UPDATED', type: 'date' },
+          { name: 'PHOTO', type: 'blob' },
+          { name: 'GLOBALID', type: 'guid' }
+        ],
+        rows: [
+          {
+            UNIT_COUNT: 2,
+            ADD_NUM: 123,
+            ELEVATION: 1.5,
+            LATITUDE: 39.9625,
+            ST_NAME: 'Rue Saint-Honoré',
+            UPDATED: '2019-03-04T12:30:00.000Z',
+            PHOTO: Buffer.from('binary data'),
+            GLOBALID: '{0A1B2C3D-4E5F-6071-8293-A4B5C6D7E8F9}'
+          },
+          null,
+          { ADD_NUM: 125 }
+        ]
+      }
+    });
+
+    const table = fgdb.openTable(path.join(gdbPath, 'a00000009.gdbtable'));
+    const rows = [];
+
+    fgdb.forEachRow(table, row => {
+      rows.push(row);
+    });
+
+    t.deepEquals(rows, [
+      {
+        OBJECTID: 1,
+        UNIT_COUNT: 2,
+        ADD_NUM: 123,
+        ELEVATION: 1.5,
+        LATITUDE: 39.9625,
+        ST_NAME: 'Rue Saint-Honoré',
+        UPDATED: '2019-03-04T12:30:00.000Z',
+        GLOBALID: '{0A1B2C3D-4E5F-6071-8293-A4B5C6D7E8F9}'
+      },
+      {
+        OBJECTID: 3,
+        UNIT_COUNT: null,
+        ADD_NUM: 125,
+        ELEVATION: null,
+        LATITUDE: null,
+        ST_NAME: null,
+        UPDATED: null,
+        PHOTO: null,
+        GLOBALID: null
+      }
+    ]);
+
+    fgdb.closeTable(table);
+    t.end();
+  });
+
+  test.test('reading should stop when the callback returns false', t => {
+    const gdbPath = writeFileGeodatabase({
+      Address_Points: {
+        fields: [{ name: 'ADD_NUM', type: 'integer' }],
+        rows: _.range(2000).map(i => ({ ADD_NUM: i }))
+      }
+    });
+
+    const table = fgdb.openTable(path.join(gdbPath, 'a00000009.gdbtable'));
+    const rows = [];
+
+    fgdb.forEachRow(table, row => {
+      rows.push(row);
+      return rows.length < 3;
+    });
+
+    t.deepEquals(rows, [{ OBJECTID: 1, ADD_NUM: 0 }, { OBJECTID: 2, ADD_NUM: 1 }, { OBJECTID: 3, ADD_NUM: 2 }]);
+
+    fgdb.closeTable(table);
+    t.end();
+  });
+
+
+  test.test('reading should continue from the object id returned when it stopped', t => {
+    const gdbPath = writeFileGeodatabase({
+      Address_Points: {
+        fields: [{ name: 'ADD_NUM', type: 'integer' }],
+        rows: [{ ADD_NUM: 0 }, null, { ADD_NUM: 2 }, { ADD_NUM: 3 }]
+      }
+    });
+
+    const table = fgdb.openTable(path.join(gdbPath, 'a00000009.gdbtable'));
+    const rows = [];
+
+    const next = fgdb.forEachRow(table, row => {
+      rows.push(row);
+      return false;
+    });
+
+    t.equals(next, 2);
+    t.equals(fgdb.forEachRow(table, row => {
+      rows.push(row);
+    }, next), undefined);
+    t.deepEquals(_.map(rows, 'OBJECTID'), [1, 3, 4]);
+
+    fgdb.closeTable(table);
+    t.end();
+  });
+
+});
+
+tape('Esri geodatabase tests', test => {
+  test.test('point table should be read with string, date, and double fields', t => {
+    extractFixture('aul.gdb.zip').then(gdbPath => {
+      const tables = fgdb.listTables(gdbPath);
+
+      t.deepEquals(_.map(tables, 'name'), ['aul_pt']);
+
+      const table = fgdb.openTable(tables[0].path);
+      const rows = [];
+
+      fgdb.forEachRow(table, row => {
+        rows.push(row);
+        return rows.length < 2;
+      });
+
+      fgdb.closeTable(table);
+
+      t.equals(table.count, 2593);
+      t.equals(table.geometryType, 'esriGeometryPoint');
+      t.deepEquals(table.fields.map(field => [field.name, field.type]), [
+        ['OBJECTID', 'esriFieldTypeOID'],
+        ['Shape', 'esriFieldTypeGeometry'],
+        ['RTN', 'esriFieldTypeString'],
+        ['NAME', 'esriFieldTypeString'],
+        ['ADDRESS', 'esriFieldTypeString'],
+        ['TOWN', 'esriFieldTypeString'],
+        ['STATUS', 'esriFieldTypeString'],
+        ['RAO_CLASS', 'esriFieldTypeString'],
+        ['AUL_DATE', 'esriFieldTypeDate'],
+        ['REGION', 'esriFieldTypeDouble'],
+        ['SITE_INFO', 'esriFieldTypeString']
+      ]);
+      t.deepEquals(_.map(rows, row => _.omit(row, 'SITE_INFO')), [
+        {
+          OBJECTID: 1,
+          RTN: '2-0012079',
+          NAME: 'LOT 1',
+          ADDRESS: '111 POND ST',
+          TOWN: 'UXBRIDGE',
+          STATUS: 'RAO',
+          RAO_CLASS: 'A2',
+          AUL_DATE: '1999-04-01T00:00:00.000Z',
+          REGION: 2
+        },
+        {
+          OBJECTID: 2,
+          RTN: '2-0012082',
+          NAME: 'NEAR TWO RAIL LINES',
+          ADDRESS: 'WILLOW RD',
+          TOWN: 'AYER',
+          STATUS: 'RAO',
+          RAO_CLASS: 'A2',
+          AUL_DATE: '1999-02-04T00:00:00.000Z',
+          REGION: 2
+        }
+      ]);
+
+    })
+    .catch(err => t.fail(err))
+    .then(() => t.end());
+
+  });
+
+  test.test('every row should be read, with integer, single, GUID, and blob fields', t => {
+    extractFixture('multipointtest.gdb.zip').then(gdbPath => {
+      const tables = fgdb.listTables(gdbPath);
+
+      t.deepEquals(_.map(tables, 'name'), ['mpointz']);
+
+      const table = fgdb.openTable(tables[0].path);
+      const rows = [];
+
+      fgdb.forEachRow(table, row => {
+        rows.push(row);
+      });
+
+      fgdb.closeTable(table);
+
+      t.equals(table.geometryType, 'esriGeometryMultipoint');
+      t.equals(rows.length, table.count);
+      t.deepEquals(_.find(table.fields, { name: 'lng' }), {
+        name: 'lng',
+        alias: 'ay ay ay',
+        type: 'esriFieldTypeInteger',
+        nullable: true
+      });
+      t.deepEquals(rows[0], {
+        OBJECTID: 1,
+        stringlong: 'dsa',
+        flt: 253,
+        dbl: 5,
+        sht: 2,
+        lng: 32453,
+        dt: '2013-10-11T16:12:43.000Z',
+        gid: null,
+        blb: null,
+        stringshort: 'asdf'
+      });
+
+    })
+    .catch(err => t.fail(err))
+    .then(() => t.end());
+
+  });
+
+});
@@ -0,0 +1,186 @@
+const tape = require('tape');
+const _ = require('lodash');
+const Duplex = require('stream').Duplex;
+const geometry = require('../geometry');
+
+// builds the contents of a .shp file containing the supplied record contents
+function createShp(records) {
+  const header = Buffer.alloc(100);
+  header.writeInt32BE(9994, 0);
+  header.writeInt32LE(1000, 28);
+
+  return Buffer.concat([header].concat(records.map((content, i) => {
+    const recordHeader = Buffer.alloc(8);
+    recordHeader.writeInt32BE(i + 1, 0);
+    recordHeader.writeInt32BE(content.length / 2, 4);
+    return Buffer.concat([recordHeader, content]);
+  })));
+
+}
+
+// builds the content of a Point shapefile record
+function createPointRecord(x, y) {
+  const content = Buffer.alloc(20);
+  content.writeInt32LE(1, 0);
+  content.writeDoubleLE(x, 4);
+  content.writeDoubleLE(y, 12);
+  return content;
+}
+
+// builds the content of a PolyLine (3) or Polygon (5) shapefile record
+function createPartsRecord(shapeType, parts) {
+  const points = _.flatten(parts);
+  const content = Buffer.alloc(44 + parts.length * 4 + points.length * 16);
+
+  content.writeInt32LE(shapeType, 0);
+  content.writeInt32LE(parts.length, 36);
+  content.writeInt32LE(points.length, 40);
+
+  parts.reduce((start, part, i) => {
+    content.writeInt32LE(start, 44 + i * 4);
+    return start + part.length;
+  }, 0);
+
+  points.forEach((point, i) => {
+    content.writeDoubleLE(point[0], 44 + parts.length * 4 + i * 16);
+    content.writeDoubleLE(point[1], 44 + parts.length * 4 + i * 16 + 8);
+  });
+
+  return content;
+
+}
+
+// wrap a buffer in a readable stream
+function toStream(buffer) {
+  const stream = new Duplex();
+  stream.push(buffer);
+  stream.push(null);
+  return stream;
+}
+
+const exterior = [[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]];
+const hole = [[2, 2], [4, 2], [4, 4], [2, 4], [2, 2]];
+const secondExterior = [[20, 20], [20, 30], [30, 30], [20, 20]];
+
+tape('fromEsriGeometry tests', test => {
+  test.test('points should be converted to Point', t => {
+    t.deepEquals(geometry.fromEsriGeometry({ x: 1.5, y: 2.5 }), { type: 'Point', coordinates: [1.5, 2.5] });
+    t.end();
+  });
+
+  test.test('multipoints should be converted to MultiPoint', t => {
+    t.deepEquals(geometry.fromEsriGeometry({ points: [[1, 2], [3, 4, 5]] }), {
+      type: 'MultiPoint',
+      coordinates: [[1, 2], [3, 4]]
+    });
+    t.end();
+  });
+
+  test.test('polylines should be converted to LineString or MultiLineString', t => {
+    t.deepEquals(geometry.fromEsriGeometry({ paths: [[[1, 2], [3, 4]]] }), {
+      type: 'LineString',
+      coordinates: [[1, 2], [3, 4]]
+    });
+    t.deepEquals(geometry.fromEsriGeometry({ paths: [[[1, 2], [3, 4]], [[5, 6], [7, 8]]] }), {
+      type: 'MultiLineString',
+      coordinates: [[[1, 2], [3, 4]], [[5, 6], [7, 8]]]
+    });
+    t.end();
+  });
+
+  test.test('polygon holes should be assigned to the preceding clockwise ring', t => {
+    t.deepEquals(geometry.fromEsriGeometry({ rings: [exterior, hole] }), {
+      type: 'Polygon',
+      coordinates: [exterior, hole]
+    });
+    t.deepEquals(geometry.fromEsriGeometry({ rings: [exterior, hole, secondExterior] }), {
+      type: 'MultiPolygon',
+      coordinates: [[exterior, hole], [secondExterior]]
+    });
+    t.end();
+  });
+
+  test.test('missing or unknown geometries should return null', t => {
+    t.equals(geometry.fromEsriGeometry(undefined), null);
+    t.equals(geometry.fromEsriGeometry({}), null);
+    t.equals(geometry.fromEsriGeometry({ rings: [] }), null);
+    t.end();
+  });
+
+});
+
+tape('fromShapeRecord tests', test => {
+  test.test('Point records should be converted to Point', t => {
+    t.deepEquals(geometry.fromShapeRecord(createPointRecord(-76.5, 39.5)), {
+      type: 'Point',
+      coordinates: [-76.5, 39.5]
+    });
+    t.end();
+  });
+
+  test.test('PolyLine records should be converted to LineString', t => {
+    t.deepEquals(geometry.fromShapeRecord(createPartsRecord(3, [[[1, 2], [3, 4]]])), {
+      type: 'LineString',
+      coordinates: [[1, 2], [3, 4]]
+    });
+    t.end();
+  });
+
+  test.test('Polygon records should be converted to Polygon or MultiPolygon', t => {
+    t.deepEquals(geometry.fromShapeRecord(createPartsRecord(5, [exterior, hole, secondExterior])), {
+      type: 'MultiPolygon',
+      coordinates: [[exterior, hole], [secondExterior]]
+    });
+    t.end();
+  });
+
+  test.test('Null records should return null', t => {
+    const content = Buffer.alloc(4);
+    content.writeInt32LE(0, 0);
+
+    t.equals(geometry.fromShapeRecord(content), null);
+    t.end();
+  });
+
+});
+
+tape('readShapefileGeometries tests', test => {
+  test.test('offset and size should be honored', t => {
+    const stream = toStream(createShp(_.range(11).map(i => createPointRecord(i, -i))));
+
+    geometry.readShapefileGeometries(stream, { offset: 3, size: 2 }, (err, geometries) => {
+      t.error(err);
+      t.deepEquals(geometries, [
+        { type: 'Point', coordinates: [3, -3] },
+        { type: 'Point', coordinates: [4, -4] }
+      ]);
+      t.end();
+    });
+
+  });
+
+  test.test('file with fewer records than requested should return all', t => {
+    const stream = toStream(createShp(_.range(2).map(i => createPointRecord(i, i + 100))));
+
+    geometry.readShapefileGeometries(stream, { offset: 0, size: 10 }, (err, geometries) => {
+      t.error(err);
+      t.deepEquals(geometries, [
+        { type: 'Point', coordinates: [0, 100] },
+        { type: 'Point', coordinates: [1, 101] }
+      ]);
+      t.end();
+    });
+
+  });
+
+  test.test('non-shapefile should return error', t => {
+    const stream = toStream(Buffer.from(_.repeat('this is not a shapefile', 10)));
+
+    geometry.readShapefileGeometries(stream, { offset: 0, size: 10 }, (err, geometries) => {
+      t.equals(err.message, 'Could not parse as shapefile');
+      t.end();
+    });
+
+  });
+
+});
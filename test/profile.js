@@ -0,0 +1,132 @@
+const tape = require('tape');
+const profile = require('../profile');
+
+tape('inferType tests', test => {
+  test.test('numbers should be integers or floats', t => {
+    t.equals(profile.inferType(17), 'integer');
+    t.equals(profile.inferType('-17'), 'integer');
+    t.equals(profile.inferType(' 0042 '), 'integer');
+    t.equals(profile.inferType(17.5), 'float');
+    t.equals(profile.inferType('-75.1234'), 'float');
+    t.equals(profile.inferType('.5'), 'float');
+    t.equals(profile.inferType('1.5e3'), 'float');
+    t.end();
+  });
+
+  test.test('ISO and US-style dates should be dates', t => {
+    t.equals(profile.inferType('2019-03-04'), 'date');
+    t.equals(profile.inferType('2019-03-04T12:34:56Z'), 'date');
+    t.equals(profile.inferType('2019-03-04 12:34:56'), 'date');
+    t.equals(profile.inferType('3/4/2019'), 'date');
+    t.equals(profile.inferType('03/04/2019 1:23 PM'), 'date');
+    t.end();
+  });
+
+  test.test('anything else should be text', t => {
+    t.equals(profile.inferType('123 Main St'), 'text');
+    t.equals(profile.inferType('2019-13-45'), 'text');
+    t.equals(profile.inferType('1,234'), 'text');
+    t.equals(profile.inferType(true), 'text');
+    t.equals(profile.inferType({ a: 1 }), 'text');
+    t.end();
+  });
+
+});
+
+tape('profileFields tests', test => {
+  test.test('statistics should be computed for each field', t => {
+    const records = [
+      { number: '123', street: 'Main St', unit: '', updated: '2019-03-04' },
+      { number: '125', street: 'Main St', unit: null, updated: '2019-03-05' },
+      { number: '1a', street: 'Maple Ave', unit: '  ', updated: '2019-03-04' },
+      { number: '7', street: 'Main St', updated: '2019-03-06' }
+    ];
+
+    t.deepEquals(profile.profileFields(['number', 'street', 'unit', 'updated'], records), {
+      number: {
+        nulls: 0,
+        distinct: 4,
+        minLength: 1,
+        maxLength: 3,
+        type: 'text',
+        top: [
+          { value: '123', count: 1 },
+          { value: '125', count: 1 },
+          { value: '1a', count: 1 },
+          { value: '7', count: 1 }
+        ]
+      },
+      street: {
+        nulls: 0,
+        distinct: 2,
+        minLength: 7,
+        maxLength: 9,
+        type: 'text',
+        top: [
+          { value: 'Main St', count: 3 },
+          { value: 'Maple Ave', count: 1 }
+        ]
+      },
+      unit: {
+        nulls: 1,
+        distinct: 0,
+        minLength: null,
+        maxLength: null,
+        type: null,
+        top: []
+      },
+      updated: {
+        nulls: 0,
+        distinct: 3,
+        minLength: 10,
+        maxLength: 10,
+        type: 'date',
+        top: [
+          { value: '2019-03-04', count: 2 },
+          { value: '2019-03-05', count: 1 },
+          { value: '2019-03-06', count: 1 }
+        ]
+      }
+    });
+    t.end();
+  });
+
+  test.test('null ratio should be rounded and integers mixed with floats should be floats', t => {
+    const records = [{ x: 1 }, { x: 2.5 }, { x: '' }];
+
+    const profiled = profile.profileFields(['x'], records).x;
+
+    t.equals(profiled.nulls, 0.3333);
+    t.equals(profiled.type, 'float');
+    t.deepEquals(profiled.top, [{ value: 1, count: 1 }, { value: 2.5, count: 1 }]);
+    t.end();
+  });
+
+  test.test('only the 5 most common values should be returned', t => {
+    const records = [1, 2, 2, 3, 4, 5, 6, 6, 6].map(x => ({ x: x }));
+
+    t.deepEquals(profile.profileFields(['x'], records).x.top, [
+      { value: 6, count: 3 },
+      { value: 2, count: 2 },
+      { value: 1, count: 1 },
+      { value: 3, count: 1 },
+      { value: 4, count: 1 }
+    ]);
+    t.end();
+  });
+
+  test.test('no records should profile every field as empty', t => {
+    t.deepEquals(profile.profileFields(['x'], []), {
+      x: {
+        nulls: 0,
+        distinct: 0,
+        minLength: null,
+        maxLength: null,
+        type: null,
+        top: []
+      }
+    });
+    t.end();
+  });
+
+});
@@ -0,0 +1,99 @@
+const tape = require('tape');
+const _ = require('lodash');
+const string2stream = require('string-to-stream');
+const toString = require('stream-to-string');
+const sampling = require('../sampling');
+
+// a deterministic replacement for Math.random (a linear congruential generator)
+const seededRandom = seed => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+tape('createSampler tests', test => {
+  test.test('random mode should return size records in the order they were added', t => {
+    const sampler = sampling.createSampler('random', 10, seededRandom(1));
+    _.range(1000).forEach(i => sampler.add(`record ${i}`));
+
+    const sample = sampler.sample();
+
+    t.equals(sampler.count(), 1000);
+    t.equals(sample.length, 10);
+    t.deepEquals(_.map(sample, 'index'), _.sortBy(_.map(sample, 'index')));
+    t.equals(_.uniq(_.map(sample, 'index')).length, 10);
+    sample.forEach(item => t.equals(item.record, `record ${item.index}`));
+    t.notDeepEquals(_.map(sample, 'index'), _.range(10), 'sample should not be the first records');
+    t.end();
+  });
+
+  test.test('random mode should choose every record with roughly equal probability', t => {
+    const random = seededRandom(7);
+    const counts = _.range(100).map(() => 0);
+
+    _.range(2000).forEach(() => {
+      const sampler = sampling.createSampler('random', 10, random);
+      _.range(100).forEach(i => sampler.add(i));
+      sampler.sample().forEach(item => counts[item.index] += 1);
+    });
+
+    // each record is expected to be chosen 200 times
+    t.ok(_.every(counts, count => count > 140 && count < 260), `counts should be close to 200: ${counts}`);
+    t.end();
+  });
+
+  test.test('stratified mode should choose one record from each stratum', t => {
+    const sampler = sampling.createSampler('stratified', 10, seededRandom(3));
+    _.range(1000).forEach(i => sampler.add(i));
+
+    const indexes = _.map(sampler.sample(), 'index');
+
+    t.equals(indexes.length, 10);
+    t.deepEquals(indexes.map(index => Math.floor(index / 100)), _.range(10));
+    t.end();
+  });
+
+  test.test('fewer records than size should all be returned', t => {
+    ['random', 'stratified'].forEach(mode => {
+      const sampler = sampling.createSampler(mode, 10);
+      _.range(4).forEach(i => sampler.add(i));
+
+      t.deepEquals(sampler.sample(), _.range(4).map(i => ({ index: i, record: i })), mode);
+    });
+
+    t.end();
+  });
+
+  test.test('no records should return an empty sample', t => {
+    ['random', 'stratified'].forEach(mode => {
+      t.deepEquals(sampling.createSampler(mode, 10).sample(), [], mode);
+    });
+
+    t.end();
+  });
+
+});
+
+tape('limitStream tests', test => {
+  test.test('stream should end once the limit has been reached', t => {
+    let limitCount = 0;
+
+    toString(sampling.limitStream(string2stream('0123456789'.repeat(100)), 25, () => limitCount += 1)).then(contents => {
+      t.equals(contents, '0123456789012345678901234');
+      t.equals(limitCount, 1);
+      t.end();
+    });
+
+  });
+
+  test.test('stream shorter than the limit should be passed through', t => {
+    let limitCount = 0;
+
+    toString(sampling.limitStream(string2stream('0123456789'), 25, () => limitCount += 1)).then(contents => {
+      t.equals(contents, '0123456789');
+      t.equals(limitCount, 0);
+      t.end();
+    });
+
+  });
+
+});
@@ -0,0 +1,131 @@
+const tape = require('tape');
+const zlib = require('zlib');
+const sniff = require('../sniff');
+
+tape('header tests', test => {
+  test.test('media types should be mapped to types of files, ignoring parameters and case', t => {
+    t.equals(sniff.fromContentType('text/csv; charset=utf-8'), 'csv');
+    t.equals(sniff.fromContentType('Application/Geo+JSON'), 'geojson');
+    t.equals(sniff.fromContentType('application/json'), 'geojson');
+    t.equals(sniff.fromContentType('application/geo+json-seq'), 'geojson-ld');
+    t.equals(sniff.fromContentType('application/vnd.google-earth.kml+xml'), 'kml');
+    t.equals(sniff.fromContentType('application/x-zip-compressed'), 'zip');
+    t.equals(sniff.fromContentType('application/gzip'), 'gzip');
+    t.end();
+  });
+
+  test.test('unknown or missing media types should return undefined', t => {
+    t.equals(sniff.fromContentType('application/octet-stream'), undefined);
+    t.equals(sniff.fromContentType('text/plain'), undefined);
+    t.equals(sniff.fromContentType(undefined), undefined);
+    t.end();
+  });
+
+  test.test('filename of Content-Disposition header should be returned', t => {
+    t.equals(sniff.fromContentDisposition('attachment; filename="addresses.csv"'), 'addresses.csv');
+    t.equals(sniff.fromContentDisposition('attachment; filename=addresses.zip; size=1234'), 'addresses.zip');
+    t.equals(sniff.fromContentDisposition('attachment; filename="a.csv"; filename*=UTF-8\'\'adresses%20%C3%A9t%C3%A9.csv'),
+      'adresses été.csv');
+    t.equals(sniff.fromContentDisposition('inline'), undefined);
+    t.equals(sniff.fromContentDisposition(undefined), undefined);
+    t.end();
+  });
+
+});
+
+tape('signature tests', test => {
+  test.test('binary signatures should be recognized', t => {
+    const tar = Buffer.alloc(512);
+    tar.write('ustar', 257, 'binary');
+
+    t.equals(sniff.fromSignature(Buffer.from('PK\x03\x04rest of file', 'binary')), 'zip');
+    t.equals(sniff.fromSignature(zlib.gzipSync('NUMBER,STREET\n')), 'gzip');
+    t.equals(sniff.fromSignature(Buffer.from('SQLite format 3\x00rest of file', 'binary')), 'gpkg');
+    t.equals(sniff.fromSignature(tar), 'tar');
+    t.end();
+  });
+
+  test.test('workbooks should be recognized', t => {
+    // the local header of an uncompressed .zip file entry followed by its contents
+    const zipEntry = (name, contents) => {
+      const header = Buffer.alloc(30);
+      header.write('PK\x03\x04', 0, 'binary');
+      header.writeUInt32LE(contents.length, 18);
+      header.writeUInt16LE(name.length, 26);
+      return Buffer.concat([header, Buffer.from(name), Buffer.from(contents)]);
+    };
+
+    const xlsx = Buffer.concat([zipEntry('[Content_Types].xml', '<Types/>'), zipEntry('xl/workbook.xml', '<workbook/>')]);
+    const zip = Buffer.concat([zipEntry('README.md', 'see xl/workbook.xml'), zipEntry('addresses.csv', 'NUMBER,STREET\n')]);
+
+    t.equals(sniff.fromSignature(xlsx), 'xlsx');
+    t.equals(sniff.fromSignature(zip), 'zip');
+    t.equals(sniff.fromSignature(Buffer.from('\xd0\xcf\x11\xe0\xa1\xb1\x1a\xe1rest of file', 'binary')), 'xls');
+    t.end();
+  });
+
+  test.test('.dbf header should be recognized', t => {
+    const dbf = Buffer.alloc(66);
+    dbf.writeUInt8(0x03, 0);
+    dbf.writeUInt8(119, 1);
+    dbf.writeUInt8(4, 2);
+    dbf.writeUInt8(17, 3);
+    dbf.writeUInt16LE(65, 8);
+    dbf.writeUInt16LE(11, 10);
+    dbf.writeUInt8(0x0d, 64);
+
+    t.equals(sniff.fromSignature(dbf), 'shapefile');
+
+    // an invalid month
+    dbf.writeUInt8(13, 2);
+    t.equals(sniff.fromSignature(dbf), undefined);
+
+    t.end();
+  });
+
+  test.test('text should not be recognized as a binary signature', t => {
+    t.equals(sniff.fromSignature(Buffer.from('NUMBER,STREET\n12,Main St\n')), undefined);
+    t.equals(sniff.fromSignature(Buffer.from('{"type": "FeatureCollection"}')), undefined);
+    t.equals(sniff.fromSignature(Buffer.alloc(0)), undefined);
+    t.end();
+  });
+
+});
+
+tape('text tests', test => {
+  test.test('JSON objects should be GeoJSON', t => {
+    t.equals(sniff.fromText(Buffer.from('\ufeff  {"type": "FeatureCollection", "features": [')), 'geojson');
+    t.end();
+  });
+
+  test.test('JSON features on each line should be newline-delimited GeoJSON', t => {
+    t.equals(sniff.fromText(Buffer.from('{"type": "Feature", "properties": {}}\n{"type": "Feature", "prop')), 'geojson-ld');
+    t.equals(sniff.fromText(Buffer.from('{"type": "FeatureCollection", "features": []}\n')), 'geojson');
+    t.equals(sniff.fromText(Buffer.from('{\n  "type": "Feature",\n')), 'geojson');
+    t.end();
+  });
+
+  test.test('record separators should start GeoJSON text sequences', t => {
+    t.equals(sniff.fromText(Buffer.from('\x1e{"type": "Feature", "properties": {}}\n\x1e{"type"')), 'geojson-ld');
+    t.end();
+  });
+
+  test.test('XML should only be KML when there is a kml element', t => {
+    t.equals(sniff.fromText(Buffer.from('<?xml version="1.0"?>\n<kml xmlns="http://www.opengis.net/kml/2.2">')), 'kml');
+    t.equals(sniff.fromText(Buffer.from('<!DOCTYPE html>\n<html><body>Not Found</body></html>')), undefined);
+    t.end();
+  });
+
+  test.test('text with more than one field should be delimited', t => {
+    t.equals(sniff.fromText(Buffer.from('NUMBER;STREET\n12;Main St\n')), 'csv');
+    t.equals(sniff.fromText(Buffer.from('just some text\n')), undefined);
+    t.end();
+  });
+
+  test.test('binary contents should not be text', t => {
+    t.equals(sniff.fromText(Buffer.from([0x4e, 0x2c, 0x00, 0x53, 0x0a])), undefined);
+    t.equals(sniff.fromText(Buffer.alloc(0)), undefined);
+    t.end();
+  });
+
+});
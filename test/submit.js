@@ -926,4 +926,101 @@ tape('source fixing', test => {
       submitService.close();
     });
   });
+
+  test.test('coverage inferred by /sample should be retained', t => {
+    t.plan(4);
+
+    process.env.GITHUB_ACCESS_TOKEN = 'github access token';
+
+    const postContent = {
+      note: 'this is the note',
+      data: 'this is the data URL',
+      type: 'source type',
+      conform: {},
+      coverage: {
+        country: 'us',
+        state: 'pa',
+        county: 'York',
+        city: null
+      }
+    };
+
+    const expectedPostContent = {
+      note: 'this is the note',
+      data: 'this is the data URL',
+      type: 'source type',
+      conform: {},
+      coverage: {
+        country: 'us',
+        state: 'pa',
+        county: 'York'
+      }
+    };
+
+    // mock the github in the submit route
+    const submitEndpoint = proxyquire('../submit', {
+      '@octokit/rest': function GitHub() {
+        return {
+          authenticate: () => {},
+          gitdata: {
+            getReference: o => new Promise((resolve, reject) => resolve(
+              {
+                data: {
+                  object: {
+                    sha: 'master sha'
+                  }
+                }
+              }
+            )),
+            createReference: o => new Promise((resolve, reject) => resolve())
+          },
+          repos: {
+            createFile: o => {
+              t.deepEquals(o, {
+                owner: 'openaddresses',
+                repo: 'openaddresses',
+                path: 'sources/contrib/source_45554d.json',
+                message: 'This file was added by the OpenAddresses submit-service',
+                content: Buffer.from(JSON.stringify(expectedPostContent, null, 4)).toString('base64'),
+                branch: 'submit_service_45554d'
+              });
+
+              return new Promise((resolve, reject) => reject('createFile in local reference failed'));
+
+            }
+          },
+          pullRequests: {
+            create: () => t.fail.bind(null, 'pullRequests.create should not have been called')
+          }
+        };
+      },
+      'lodash': {
+        random: (start, end) => 4543821
+      }
+    });
+
+    const submitService = express().use('/', submitEndpoint).listen();
+
+    request({
+      uri: `http://localhost:${submitService.address().port}/`,
+      method: 'POST',
+      body: postContent,
+      json: true,
+      resolveWithFullResponse: true
+    })
+    .then(t.fail.bind(null, 'request should not have been successful'))
+    .catch(err => {
+      t.equals(err.statusCode, 500);
+      t.equals(err.response.headers['content-type'], 'application/json; charset=utf-8');
+      t.deepEquals(err.error, {
+        error: {
+          code: 500,
+          message: 'Error creating file for reference: createFile in local reference failed'
+        }
+      });
+    })
+    .finally(() => {
+      submitService.close();
+    });
+  });
 });
@@ -1,8 +1,19 @@
 require('./app');
+require('./conform');
+require('./coverage');
 require('./createissue');
+require('./crs');
+require('./dialect');
 require('./download');
+require('./encoding');
+require('./fgdb');
+require('./geometry');
 require('./index');
 require('./maintainers');
+require('./profile');
 require('./sample');
+require('./sampling');
+require('./sniff');
 require('./sources');
 require('./submit');
+require('./wfs');
@@ -0,0 +1,181 @@
+const tape = require('tape');
+const { URL } = require('url');
+const wfs = require('../wfs');
+
+const capabilities200 = `<?xml version="1.0" encoding="UTF-8"?>
+<wfs:WFS_Capabilities version="2.0.0" xmlns:wfs="http://www.opengis.net/wfs/2.0" xmlns:ows="http://www.opengis.net/ows/1.1">
+  <ows:OperationsMetadata>
+    <ows:Operation name="DescribeFeatureType">
+      <ows:Parameter name="outputFormat">
+        <ows:AllowedValues><ows:Value>application/gml+xml; version=3.2</ows:Value></ows:AllowedValues>
+      </ows:Parameter>
+    </ows:Operation>
+    <ows:Operation name="GetFeature">
+      <ows:Parameter name="outputFormat">
+        <ows:AllowedValues>
+          <ows:Value>application/gml+xml; version=3.2</ows:Value>
+          <ows:Value>application/json</ows:Value>
+        </ows:AllowedValues>
+      </ows:Parameter>
+    </ows:Operation>
+  </ows:OperationsMetadata>
+  <wfs:FeatureTypeList>
+    <wfs:FeatureType>
+      <wfs:Name>ad:Address</wfs:Name>
+      <wfs:Title>Addresses</wfs:Title>
+      <wfs:DefaultCRS>urn:ogc:def:crs:EPSG::25832</wfs:DefaultCRS>
+    </wfs:FeatureType>
+    <wfs:FeatureType>
+      <wfs:Name>ad:Building</wfs:Name>
+      <wfs:Title>Buildings</wfs:Title>
+      <wfs:DefaultCRS>urn:ogc:def:crs:EPSG::4326</wfs:DefaultCRS>
+    </wfs:FeatureType>
+  </wfs:FeatureTypeList>
+</wfs:WFS_Capabilities>`;
+
+const capabilities100 = `<?xml version="1.0" encoding="UTF-8"?>
+<WFS_Capabilities version="1.0.0" xmlns="http://www.opengis.net/wfs">
+  <Capability>
+    <Request>
+      <GetFeature>
+        <ResultFormat><GML2/><GEOJSON/></ResultFormat>
+      </GetFeature>
+    </Request>
+  </Capability>
+  <FeatureTypeList>
+    <FeatureType>
+      <Name>addresses</Name>
+      <Title>Address Points</Title>
+      <SRS>EPSG:4326</SRS>
+    </FeatureType>
+  </FeatureTypeList>
+</WFS_Capabilities>`;
+
+tape('url tests', test => {
+  test.test('service parameter or path should identify WFS URLs', t => {
+    t.ok(wfs.isWfsUrl(new URL('https://example.com/geoserver/ows?SERVICE=wfs&request=GetCapabilities')));
+    t.ok(wfs.isWfsUrl(new URL('https://example.com/services/wfs')));
+    t.notOk(wfs.isWfsUrl(new URL('https://example.com/geoserver/ows?service=WMS')));
+    t.notOk(wfs.isWfsUrl(new URL('https://example.com/data/addresses.geojson')));
+    t.end();
+  });
+
+  test.test('WFS request parameters should be removed from the service URL', t => {
+    const url = new URL('https://example.com/ows?map=addresses&SERVICE=WFS&Request=GetFeature&typeNames=ad:Address&count=5');
+
+    t.equals(wfs.getServiceUrl(url).href, 'https://example.com/ows?map=addresses');
+    t.equals(wfs.getTypeName(url), 'ad:Address');
+    t.equals(wfs.getTypeName(new URL('https://example.com/wfs?TYPENAME=addresses')), 'addresses');
+    t.equals(wfs.getTypeName(new URL('https://example.com/wfs')), undefined);
+    t.end();
+  });
+
+  test.test('capabilities URL should negotiate the version', t => {
+    t.equals(wfs.getCapabilitiesUrl(new URL('https://example.com/ows?map=addresses')).href,
+      'https://example.com/ows?map=addresses&service=WFS&request=GetCapabilities&acceptVersions=2.0.0%2C1.1.0%2C1.0.0');
+    t.end();
+  });
+
+});
+
+tape('parseCapabilities tests', test => {
+  test.test('WFS 2.0.0 feature types and GetFeature output formats should be parsed', t => {
+    t.deepEquals(wfs.parseCapabilities(capabilities200), {
+      version: '2.0.0',
+      featureTypes: [
+        { name: 'ad:Address', title: 'Addresses', srs: 'urn:ogc:def:crs:EPSG::25832' },
+        { name: 'ad:Building', title: 'Buildings', srs: 'urn:ogc:def:crs:EPSG::4326' }
+      ],
+      outputFormats: ['application/gml+xml; version=3.2', 'application/json']
+    });
+    t.end();
+  });
+
+  test.test('WFS 1.0.0 result formats should be parsed', t => {
+    t.deepEquals(wfs.parseCapabilities(capabilities100), {
+      version: '1.0.0',
+      featureTypes: [
+        { name: 'addresses', title: 'Address Points', srs: 'EPSG:4326' }
+      ],
+      outputFormats: ['GML2', 'GEOJSON']
+    });
+    t.end();
+  });
+
+  test.test('exception report should throw its message', t => {
+    const xml = `<ows:ExceptionReport version="2.0.0" xmlns:ows="http://www.opengis.net/ows/1.1">
+      <ows:Exception exceptionCode="InvalidParameterValue"><ows:ExceptionText>Service not enabled</ows:ExceptionText></ows:Exception>
+    </ows:ExceptionReport>`;
+
+    t.throws(() => wfs.parseCapabilities(xml), /^Error: Service not enabled$/);
+    t.end();
+  });
+
+  test.test('invalid XML should throw', t => {
+    t.throws(() => wfs.parseCapabilities('<WFS_Capabilities><FeatureTypeList></WFS_Capabilities>'));
+    t.end();
+  });
+
+});
+
+tape('getFeatureUrl tests', test => {
+  const serviceUrl = new URL('https://example.com/ows?map=addresses');
+
+  test.test('WFS 2.0.0 should request GeoJSON using typeNames, count, and startIndex', t => {
+    const url = wfs.getFeatureUrl(serviceUrl, wfs.parseCapabilities(capabilities200), 'ad:Address', { size: 10, offset: 5 });
+
+    t.equals(url.searchParams.get('map'), 'addresses');
+    t.equals(url.searchParams.get('version'), '2.0.0');
+    t.equals(url.searchParams.get('request'), 'GetFeature');
+    t.equals(url.searchParams.get('typeNames'), 'ad:Address');
+    t.equals(url.searchParams.get('outputFormat'), 'application/json');
+    t.equals(url.searchParams.get('srsName'), 'EPSG:4326');
+    t.equals(url.searchParams.get('count'), '10');
+    t.equals(url.searchParams.get('startIndex'), '5');
+    t.end();
+  });
+
+  test.test('older versions should request offset + size features using typeName and maxFeatures', t => {
+    const capabilities = { version: '1.1.0', featureTypes: [], outputFormats: ['text/xml; subtype=gml/3.1.1'] };
+    const url = wfs.getFeatureUrl(serviceUrl, capabilities, 'addresses', { size: 10, offset: 5 });
+
+    t.equals(url.searchParams.get('typeName'), 'addresses');
+    t.equals(url.searchParams.get('maxFeatures'), '15');
+    t.notOk(url.searchParams.has('startIndex'));
+    t.notOk(url.searchParams.has('outputFormat'));
+    t.end();
+  });
+
+  test.test('request without a size should not be limited', t => {
+    const url = wfs.getFeatureUrl(serviceUrl, wfs.parseCapabilities(capabilities200), 'ad:Address');
+
+    t.notOk(url.searchParams.has('count'));
+    t.notOk(url.searchParams.has('startIndex'));
+    t.end();
+  });
+
+});
+
+tape('hits tests', test => {
+  const serviceUrl = new URL('https://example.com/geoserver/wfs');
+
+  test.test('hits request should only be built for WFS 1.1.0 and later', t => {
+    const url = wfs.getHitsUrl(serviceUrl, { version: '2.0.0' }, 'ad:Address');
+
+    t.equals(url.searchParams.get('request'), 'GetFeature');
+    t.equals(url.searchParams.get('typeNames'), 'ad:Address');
+    t.equals(url.searchParams.get('resultType'), 'hits');
+    t.equals(wfs.getHitsUrl(serviceUrl, { version: '1.1.0' }, 'addresses').searchParams.get('typeName'), 'addresses');
+    t.equals(wfs.getHitsUrl(serviceUrl, { version: '1.0.0' }, 'addresses'), undefined);
+    t.end();
+  });
+
+  test.test('number of features should be parsed from the FeatureCollection', t => {
+    t.equals(wfs.parseHits('<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs/2.0" numberMatched="1234"/>'), 1234);
+    t.equals(wfs.parseHits('<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs" numberOfFeatures="56"/>'), 56);
+    t.equals(wfs.parseHits('<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs/2.0" numberMatched="unknown"/>'), undefined);
+    t.throws(() => wfs.parseHits('not xml <'));
+    t.end();
+  });
+
+});
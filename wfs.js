@@ -0,0 +1,227 @@
+const _ = require('lodash');
+const sax = require('sax');
+const { URL } = require('url');
+
+// Helpers for sampling OGC Web Feature Services: recognizing WFS URLs,
+// parsing GetCapabilities responses, and building GetFeature requests.
+// WFS 1.0.0, 1.1.0, and 2.0.0 are supported.
+
+// query parameters of WFS requests, which are replaced when building requests
+const wfsParameters = [
+  'service', 'request', 'version', 'acceptversions', 'typename', 'typenames',
+  'count', 'maxfeatures', 'startindex', 'outputformat', 'srsname', 'resulttype'
+];
+
+// the value of a query parameter, whose names are case-insensitive in OGC services
+function getParameter(url, name) {
+  const entry = _.find(Array.from(url.searchParams.entries()), ([key]) => _.toLower(key) === _.toLower(name));
+
+  return entry ? entry[1] : undefined;
+
+}
+
+// whether a URL is a WFS endpoint, either by its service parameter or its path
+function isWfsUrl(url) {
+  return _.toLower(getParameter(url, 'service')) === 'wfs' || /\/wfs\/?$/i.test(url.pathname);
+}
+
+// the URL of the service without any WFS request parameters
+function getServiceUrl(url) {
+  const serviceUrl = new URL(url.href);
+
+  Array.from(url.searchParams.keys())
+    .filter(key => _.includes(wfsParameters, _.toLower(key)))
+    .forEach(key => serviceUrl.searchParams.delete(key));
+
+  return serviceUrl;
+
+}
+
+// the feature type requested by the typeName (or typeNames) parameter of a URL, if any
+function getTypeName(url) {
+  return _.defaultTo(getParameter(url, 'typeNames'), getParameter(url, 'typeName'));
+}
+
+function getCapabilitiesUrl(serviceUrl) {
+  const url = new URL(serviceUrl.href);
+  url.searchParams.set('service', 'WFS');
+  url.searchParams.set('request', 'GetCapabilities');
+  url.searchParams.set('acceptVersions', '2.0.0,1.1.0,1.0.0');
+
+  return url;
+
+}
+
+// parse a GetCapabilities response, returns an object with the `version` of
+// the service, its `featureTypes` (each with a `name`, `title`, and default
+// `srs`), and the `outputFormats` supported by GetFeature.  Throws an error
+// with the message of an exception report or if the XML can't be parsed.
+function parseCapabilities(xml) {
+  const parser = sax.parser(true, { trim: true });
+
+  const capabilities = {
+    featureTypes: [],
+    outputFormats: []
+  };
+  const exceptions = [];
+
+  // open elements, each with its local name and attributes
+  const stack = [];
+  let text = '';
+
+  const localName = name => _.last(name.split(':'));
+  const parent = depth => _.get(stack, [stack.length - 1 - depth, 'name']);
+
+  // whether an element is within a GetFeature outputFormat parameter
+  const inOutputFormat = () => stack.some(element => element.name === 'Parameter' && element.attributes.name === 'outputFormat') &&
+    !stack.some(element => element.name === 'Operation' && element.attributes.name !== 'GetFeature');
+
+  parser.onopentag = node => {
+    const name = localName(node.name);
+
+    if (stack.length === 0) {
+      capabilities.version = node.attributes.version;
+    }
+
+    if (name === 'FeatureType') {
+      capabilities.featureTypes.push({});
+    } else if (parent(0) === 'ResultFormat' && parent(1) === 'GetFeature') {
+      // WFS 1.0.0 lists formats as empty elements, such as <GML2/>
+      capabilities.outputFormats.push(name);
+    }
+
+    stack.push({ name, attributes: node.attributes });
+    text = '';
+
+  };
+
+  parser.ontext = parser.oncdata = value => {
+    text += value;
+  };
+
+  parser.onclosetag = () => {
+    const name = stack.pop().name;
+    const featureType = _.last(capabilities.featureTypes);
+
+    if (parent(0) === 'FeatureType' && name === 'Name') {
+      featureType.name = text;
+    } else if (parent(0) === 'FeatureType' && name === 'Title') {
+      featureType.title = text;
+    } else if (parent(0) === 'FeatureType' && _.includes(['DefaultCRS', 'DefaultSRS', 'SRS'], name)) {
+      featureType.srs = text;
+    } else if (name === 'Value' && inOutputFormat()) {
+      capabilities.outputFormats.push(text);
+    } else if (name === 'ExceptionText' || name === 'ServiceException') {
+      exceptions.push(text);
+    }
+
+    text = '';
+
+  };
+
+  parser.onerror = err => {
+    throw err;
+  };
+
+  parser.write(xml).close();
+
+  if (!_.isEmpty(exceptions)) {
+    throw new Error(exceptions.join(', '));
+  }
+
+  capabilities.outputFormats = _.uniq(capabilities.outputFormats);
+
+  return capabilities;
+
+}
+
+// the GeoJSON output format supported by the service, if any
+function getGeoJsonFormat(capabilities) {
+  return _.find(capabilities.outputFormats, format => /json/i.test(format));
+}
+
+// build a GetFeature request for a feature type, in GeoJSON if supported
+// (otherwise the default GML), optionally limited to `size` features after
+// skipping `offset` features.  WFS 2.0.0 supports count and startIndex while
+// older versions only support maxFeatures, so the first `offset` features
+// returned by those have to be skipped.
+function getFeatureUrl(serviceUrl, capabilities, typeName, options) {
+  const url = new URL(serviceUrl.href);
+  const is2 = _.startsWith(capabilities.version, '2.');
+
+  url.searchParams.set('service', 'WFS');
+  url.searchParams.set('version', capabilities.version);
+  url.searchParams.set('request', 'GetFeature');
+  url.searchParams.set(is2 ? 'typeNames' : 'typeName', typeName);
+
+  if (getGeoJsonFormat(capabilities)) {
+    // GeoJSON coordinates are always WGS84 longitude/latitude
+    url.searchParams.set('outputFormat', getGeoJsonFormat(capabilities));
+    url.searchParams.set('srsName', 'EPSG:4326');
+  }
+
+  if (_.has(options, 'size') && is2) {
+    url.searchParams.set('count', options.size);
+    url.searchParams.set('startIndex', options.offset);
+  } else if (_.has(options, 'size')) {
+    url.searchParams.set('maxFeatures', options.offset + options.size);
+  }
+
+  return url;
+
+}
+
+// build a GetFeature request for the number of features of a feature type,
+// which WFS 1.0.0 doesn't support
+function getHitsUrl(serviceUrl, capabilities, typeName) {
+  if (capabilities.version === '1.0.0') {
+    return undefined;
+  }
+
+  const url = new URL(serviceUrl.href);
+  url.searchParams.set('service', 'WFS');
+  url.searchParams.set('version', capabilities.version);
+  url.searchParams.set('request', 'GetFeature');
+  url.searchParams.set(_.startsWith(capabilities.version, '2.') ? 'typeNames' : 'typeName', typeName);
+  url.searchParams.set('resultType', 'hits');
+
+  return url;
+
+}
+
+// parse the response to a hits request, returns the number of features
+// (numberMatched in WFS 2.0.0, numberOfFeatures in WFS 1.1.0) or undefined
+// when the server doesn't report it.  Throws an error if the XML can't be parsed.
+function parseHits(xml) {
+  const parser = sax.parser(true, { trim: true });
+
+  let hits;
+
+  parser.onopentag = node => {
+    if (_.isUndefined(hits) && _.last(node.name.split(':')) === 'FeatureCollection') {
+      // numberMatched may be 'unknown'
+      hits = parseInt(_.defaultTo(node.attributes.numberMatched, node.attributes.numberOfFeatures));
+    }
+  };
+
+  parser.onerror = err => {
+    throw err;
+  };
+
+  parser.write(xml).close();
+
+  return _.isInteger(hits) ? hits : undefined;
+
+}
+
+module.exports = {
+  isWfsUrl,
+  getServiceUrl,
+  getTypeName,
+  getCapabilitiesUrl,
+  parseCapabilities,
+  getGeoJsonFormat,
+  getFeatureUrl,
+  getHitsUrl,
+  parseHits
+};